@@ -0,0 +1,296 @@
+// achievements.js
+//
+// Declarative badges. Each achievement is one rule over a metric:
+//
+//   { metric: "correct", subject: "Ethics", atLeast: 10 }
+//
+// Metrics are counted on demand (METRICS below). Whenever activity happens
+// the rules listening for that event are re-checked and newly met ones are
+// stored in user_achievements with their unlock time. Unlocks are
+// permanent: deleting content later does not take a badge away.
+const { run, get, all } = require("./db");
+const { getXP } = require("./xp");
+const timezone = require("./timezone");
+
+// Consecutive local days, ending today or yesterday, that appear in `days`
+// (a Set of "YYYY-MM-DD")
+function runLength(days) {
+  const today = timezone.dayOf();
+  let day = days.has(today) ? today : timezone.addDays(today, -1);
+  let length = 0;
+  while (days.has(day)) {
+    length++;
+    day = timezone.addDays(day, -1);
+  }
+  return length;
+}
+
+// metric → { events that can change it, value(username, subject) }
+const METRICS = {
+  notes: {
+    events: ["note"],
+    sql: "SELECT COUNT(*) AS value FROM notes WHERE author = ?",
+    subject: "subject",
+  },
+  uploads: {
+    events: ["file"],
+    sql: "SELECT COUNT(*) AS value FROM files WHERE uploader = ?",
+    subject: "subject",
+  },
+  questions: {
+    events: ["question"],
+    sql: "SELECT COUNT(*) AS value FROM questions WHERE createdBy = ?",
+    subject: "subject",
+  },
+  answers: {
+    events: ["answer"],
+    sql: `SELECT COUNT(*) AS value FROM answers a JOIN questions q ON q.id = a.questionId
+          WHERE a.answeredBy = ?`,
+    subject: "q.subject",
+  },
+  correct: {
+    events: ["grade"],
+    sql: `SELECT COUNT(*) AS value FROM grades g
+          JOIN answers a ON a.id = g.answerId JOIN questions q ON q.id = g.questionId
+          WHERE a.answeredBy = ? AND g.isCorrect = 1 AND g.supersededAt IS NULL
+            AND a.answeredBy IS NOT q.createdBy`,
+    subject: "q.subject",
+  },
+  reflections: {
+    events: ["reflection"],
+    sql: "SELECT COUNT(*) AS value FROM reflections WHERE username = ? AND isDeleted = 0",
+    subject: "subject",
+  },
+  quizzes: {
+    events: ["quiz"],
+    sql: "SELECT COUNT(*) AS value FROM quizzes WHERE username = ? AND submittedAt IS NOT NULL",
+  },
+  // Full marks on a quiz of at least 5 questions
+  perfectQuizzes: {
+    events: ["quiz"],
+    sql: `SELECT COUNT(*) AS value FROM quizzes
+          WHERE username = ? AND submittedAt IS NOT NULL AND total >= 5 AND score = total`,
+  },
+  reflectionStreak: {
+    events: ["reflection"],
+    value: async (username) => {
+      const rows = await all(
+        `SELECT createdAt FROM reflections WHERE username = ? AND isDeleted = 0
+         ORDER BY createdAt DESC LIMIT 400`,
+        [username]
+      );
+      return runLength(new Set(rows.map((r) => timezone.dayOf(new Date(r.createdAt)))));
+    },
+  },
+  loginStreak: {
+    events: ["streak"],
+    value: async (username) => {
+      const row = await get("SELECT longestStreak FROM users WHERE username = ?", [username]);
+      return (row && row.longestStreak) || 0;
+    },
+  },
+  level: {
+    // Any event can come with XP
+    events: "*",
+    value: async (username) => (await getXP(username)).level,
+  },
+};
+
+const ACHIEVEMENTS = [
+  {
+    id: "first_note",
+    name: "First Note",
+    description: "Post your first note",
+    metric: "notes",
+    atLeast: 1,
+  },
+  {
+    id: "notes_25",
+    name: "Note Taker",
+    description: "Post 25 notes",
+    metric: "notes",
+    atLeast: 25,
+  },
+  {
+    id: "first_upload",
+    name: "First Upload",
+    description: "Share your first file",
+    metric: "uploads",
+    atLeast: 1,
+  },
+  {
+    id: "uploads_10",
+    name: "Librarian",
+    description: "Share 10 files",
+    metric: "uploads",
+    atLeast: 10,
+  },
+  {
+    id: "first_question",
+    name: "Curious Mind",
+    description: "Ask your first question",
+    metric: "questions",
+    atLeast: 1,
+  },
+  {
+    id: "first_answer",
+    name: "Helping Hand",
+    description: "Answer your first question",
+    metric: "answers",
+    atLeast: 1,
+  },
+  {
+    id: "correct_10",
+    name: "Sharp Shooter",
+    description: "Get 10 answers marked correct",
+    metric: "correct",
+    atLeast: 10,
+  },
+  {
+    id: "correct_10_ethics",
+    name: "Ethics Scholar",
+    description: "Get 10 answers marked correct in Ethics",
+    metric: "correct",
+    subject: "Ethics",
+    atLeast: 10,
+  },
+  {
+    id: "first_reflection",
+    name: "Looking Back",
+    description: "Write your first reflection",
+    metric: "reflections",
+    atLeast: 1,
+  },
+  {
+    id: "reflection_streak_7",
+    name: "Reflective Week",
+    description: "Write a reflection 7 days in a row",
+    metric: "reflectionStreak",
+    atLeast: 7,
+  },
+  {
+    id: "login_streak_7",
+    name: "Regular",
+    description: "Reach a 7-day activity streak",
+    metric: "loginStreak",
+    atLeast: 7,
+  },
+  {
+    id: "login_streak_30",
+    name: "Dedicated",
+    description: "Reach a 30-day activity streak",
+    metric: "loginStreak",
+    atLeast: 30,
+  },
+  {
+    id: "quizzes_10",
+    name: "Quiz Regular",
+    description: "Complete 10 quizzes",
+    metric: "quizzes",
+    atLeast: 10,
+  },
+  {
+    id: "perfect_quiz",
+    name: "Flawless",
+    description: "Answer every question right in a quiz of 5 or more",
+    metric: "perfectQuizzes",
+    atLeast: 1,
+  },
+  {
+    id: "level_5",
+    name: "Rising Star",
+    description: "Reach level 5",
+    metric: "level",
+    atLeast: 5,
+  },
+  {
+    id: "level_10",
+    name: "Veteran",
+    description: "Reach level 10",
+    metric: "level",
+    atLeast: 10,
+  },
+];
+
+const BY_ID = new Map(ACHIEVEMENTS.map((a) => [a.id, a]));
+
+async function measure(rule, username) {
+  const metric = METRICS[rule.metric];
+  if (metric.value) return metric.value(username, rule.subject);
+
+  let sql = metric.sql;
+  const params = [username];
+  if (rule.subject) {
+    sql += ` AND ${metric.subject} = ?`;
+    params.push(rule.subject);
+  }
+  return (await get(sql, params)).value;
+}
+
+function describe(achievement) {
+  const { id, name, description, metric, subject, atLeast } = achievement;
+  return { id, name, description, metric, subject: subject || null, target: atLeast };
+}
+
+// Re-checks the rules `event` can affect (all of them without an event) and
+// stores the ones now met. Returns the newly unlocked achievements.
+async function evaluate(username, event) {
+  const unlocked = new Set(
+    (await all("SELECT achievementId FROM user_achievements WHERE username = ?", [username]))
+      .map((r) => r.achievementId)
+  );
+
+  const candidates = ACHIEVEMENTS.filter((a) => {
+    if (unlocked.has(a.id)) return false;
+    const { events } = METRICS[a.metric];
+    return !event || events === "*" || events.includes(event);
+  });
+
+  const newlyUnlocked = [];
+  for (const achievement of candidates) {
+    if ((await measure(achievement, username)) < achievement.atLeast) continue;
+
+    const unlockedAt = new Date().toISOString();
+    const { changes } = await run(
+      "INSERT OR IGNORE INTO user_achievements (username, achievementId, unlockedAt) VALUES (?,?,?)",
+      [username, achievement.id, unlockedAt]
+    );
+    if (changes > 0) newlyUnlocked.push({ ...describe(achievement), unlockedAt });
+  }
+  return newlyUnlocked;
+}
+
+// Achievements `username` has unlocked, oldest first. Stored ids whose
+// definition was removed are skipped.
+async function unlockedBy(username) {
+  const rows = await all(
+    "SELECT achievementId, unlockedAt FROM user_achievements WHERE username = ? ORDER BY unlockedAt, id",
+    [username]
+  );
+  return rows
+    .filter((r) => BY_ID.has(r.achievementId))
+    .map((r) => ({ ...describe(BY_ID.get(r.achievementId)), unlockedAt: r.unlockedAt }));
+}
+
+// Every achievement, with `username`'s unlock time and current progress
+// when given
+async function catalog(username) {
+  if (!username) return ACHIEVEMENTS.map(describe);
+
+  const unlocked = new Map((await unlockedBy(username)).map((a) => [a.id, a.unlockedAt]));
+
+  const items = [];
+  for (const achievement of ACHIEVEMENTS) {
+    const unlockedAt = unlocked.get(achievement.id) || null;
+    const current = unlockedAt ? achievement.atLeast : await measure(achievement, username);
+    items.push({
+      ...describe(achievement),
+      unlocked: !!unlockedAt,
+      unlockedAt,
+      progress: Math.min(current, achievement.atLeast),
+    });
+  }
+  return items;
+}
+
+module.exports = { ACHIEVEMENTS, METRICS, evaluate, unlockedBy, catalog };
@@ -0,0 +1,117 @@
+// auth.js
+const crypto = require("crypto");
+
+// Signing secret for session tokens. Without SESSION_SECRET every restart
+// invalidates all issued tokens.
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET not set — using a random secret for this run");
+}
+
+const SESSION_TTL_MS =
+  (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 64;
+
+// ======================================================
+// PASSWORDS
+// ======================================================
+
+// Stored as "scrypt$<salt>$<hash>" (hex)
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString("hex");
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString("hex")}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const parts = (stored || "").split("$");
+    if (parts.length !== 3 || parts[0] !== "scrypt") return resolve(false);
+
+    const [, salt, hash] = parts;
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, "hex");
+      resolve(
+        expected.length === key.length && crypto.timingSafeEqual(expected, key)
+      );
+    });
+  });
+}
+
+// ======================================================
+// SESSION TOKENS
+// ======================================================
+
+function sign(data) {
+  return crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+}
+
+// Token = base64url(JSON payload) + "." + HMAC signature
+function createToken(sessionId, username) {
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(
+    JSON.stringify({ sid: sessionId, sub: username, exp: expiresAt })
+  ).toString("base64url");
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// Returns the decoded payload, or null if the token is malformed,
+// tampered with or expired.
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given))
+    return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!data || !data.sid || !data.sub || Date.now() > data.exp) return null;
+  return data;
+}
+
+function newSessionId() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// ======================================================
+// RESET CODES
+// ======================================================
+
+const RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+// One-time code an admin hands to a user; only its hash is stored
+function newResetCode() {
+  const code = crypto.randomBytes(12).toString("base64url");
+  return { code, expiresAt: Date.now() + RESET_TTL_MS };
+}
+
+function hashResetCode(code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex");
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  newSessionId,
+  newResetCode,
+  hashResetCode,
+};
@@ -2,49 +2,39 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
 
-const dbPath = path.join(__dirname, "compre.db");
+// FINAL & ONLY DB INSTANCE — schema lives in ./migrations
+const dbPath = process.env.DB_PATH || path.join(__dirname, "compre.db");
 const db = new sqlite3.Database(dbPath);
 
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE,
-      password TEXT
-    )
-  `);
+// Needed for ON DELETE CASCADE (off by default in SQLite)
+db.run("PRAGMA foreign_keys = ON");
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS notes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      subject TEXT NOT NULL,
-      author TEXT,
-      content TEXT NOT NULL,
-      isPublic INTEGER DEFAULT 1,
-      createdAt TEXT
-    )
-  `);
+// Promise wrappers for code that prefers async/await
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS comments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      noteId INTEGER NOT NULL,
-      author TEXT,
-      content TEXT NOT NULL,
-      createdAt TEXT,
-      FOREIGN KEY (noteId) REFERENCES notes(id) ON DELETE CASCADE
-    )
-  `);
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS files (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      subject TEXT NOT NULL,
-      originalName TEXT,
-      filePath TEXT,
-      uploadedAt TEXT
-    )
-  `);
-});
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
 
-module.exports = db;
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = { db, dbPath, run, get, all, exec };
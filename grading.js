@@ -0,0 +1,171 @@
+// grading.js
+//
+// Grades with partial credit and a regrade trail. A grade's score runs
+// from 0 to 1; it can be given directly, derived from a rubric
+// ([{ criterion, points, maxPoints, comment }]), or from a plain isCorrect.
+// Grading again keeps the earlier grade, marked superseded.
+//
+// Besides the question's author and moderators, an author can add graders
+// to a question (question_graders). Questions in a study group can only
+// be graded by its members.
+const { run, get, all } = require("./db");
+const { canManage, hasRole } = require("./permissions");
+const { canViewGroup, groupVisibleSql } = require("./visibility");
+
+const MAX_RUBRIC_ITEMS = 20;
+
+function parseRubric(rubric) {
+  if (!Array.isArray(rubric) || rubric.length === 0 || rubric.length > MAX_RUBRIC_ITEMS)
+    return { error: `rubric must be a list of 1 to ${MAX_RUBRIC_ITEMS} criteria` };
+
+  const items = [];
+  for (const item of rubric) {
+    const criterion = item && typeof item.criterion === "string" ? item.criterion.trim() : "";
+    const points = Number(item && item.points);
+    const maxPoints = Number(item && item.maxPoints);
+    if (!criterion || !Number.isFinite(points) || !Number.isFinite(maxPoints) ||
+        maxPoints <= 0 || points < 0 || points > maxPoints)
+      return { error: "Each rubric item needs a criterion and 0 <= points <= maxPoints" };
+
+    items.push({
+      criterion,
+      points,
+      maxPoints,
+      comment: typeof item.comment === "string" ? item.comment : "",
+    });
+  }
+  return { rubric: items };
+}
+
+// Reads { score, rubric, isCorrect, feedback } from a request body.
+// Returns { score, isCorrect, rubric, feedback } or { error }.
+function parseGrade(body) {
+  let rubric = null;
+  if (body.rubric !== undefined && body.rubric !== null) {
+    const parsed = parseRubric(body.rubric);
+    if (parsed.error) return parsed;
+    rubric = parsed.rubric;
+  }
+
+  let score;
+  if (body.score !== undefined && body.score !== null) {
+    score = Number(body.score);
+    if (!Number.isFinite(score) || score < 0 || score > 1)
+      return { error: "score must be a number from 0 to 1" };
+  } else if (rubric) {
+    const points = rubric.reduce((sum, r) => sum + r.points, 0);
+    const max = rubric.reduce((sum, r) => sum + r.maxPoints, 0);
+    score = points / max;
+  } else if (typeof body.isCorrect === "boolean") {
+    score = body.isCorrect ? 1 : 0;
+  } else {
+    return { error: "isCorrect, score or rubric is required" };
+  }
+  score = Math.round(score * 1000) / 1000;
+
+  // Full marks count as correct unless the grader says otherwise
+  const isCorrect = typeof body.isCorrect === "boolean" ? body.isCorrect : score >= 1;
+
+  return {
+    score,
+    isCorrect,
+    rubric,
+    feedback: typeof body.feedback === "string" ? body.feedback : "",
+  };
+}
+
+async function isGrader(username, questionId) {
+  return !!(await get(
+    "SELECT 1 FROM question_graders WHERE questionId = ? AND username = ?",
+    [questionId, username]
+  ));
+}
+
+async function canGrade(user, question) {
+  if (!(await canViewGroup(question.groupId, user && user.username))) return false;
+  if (canManage(user, question.createdBy)) return true;
+  return !!user && isGrader(user.username, question.id);
+}
+
+function current(answerId) {
+  return get("SELECT * FROM grades WHERE answerId = ? AND supersededAt IS NULL", [answerId]);
+}
+
+// Stores a grade for `answer` and supersedes the one before it. Returns
+// { grade, previous } (previous: the superseded row or null).
+async function record(answer, grade, gradedBy, { isAuto = false } = {}) {
+  const previous = await current(answer.id);
+  const createdAt = new Date().toISOString();
+
+  const { lastID } = await run(
+    `INSERT INTO grades
+     (answerId, questionId, isCorrect, score, rubric, feedback, gradedBy, createdAt, isAuto)
+     VALUES (?,?,?,?,?,?,?,?,?)`,
+    [
+      answer.id,
+      answer.questionId,
+      grade.isCorrect ? 1 : 0,
+      grade.score,
+      grade.rubric ? JSON.stringify(grade.rubric) : null,
+      grade.feedback || "",
+      gradedBy,
+      createdAt,
+      isAuto ? 1 : 0,
+    ]
+  );
+
+  // Only older rows, so of two concurrent grades the later one wins
+  await run(
+    `UPDATE grades SET supersededAt = ?, supersededBy = ?
+     WHERE answerId = ? AND id < ? AND supersededAt IS NULL`,
+    [createdAt, lastID, answer.id, lastID]
+  );
+
+  const row = await get("SELECT * FROM grades WHERE id = ?", [lastID]);
+  return { grade: row, previous: previous || null };
+}
+
+function format(row) {
+  return {
+    ...row,
+    isCorrect: !!row.isCorrect,
+    isAuto: !!row.isAuto,
+    rubric: row.rubric ? JSON.parse(row.rubric) : null,
+    superseded: !!row.supersededAt,
+  };
+}
+
+// Conditions (for paginate over `answers`) selecting free-text answers
+// without a current grade that `grader` may grade. Like POST /grades, it
+// leaves out answers by the grader or by the question's author.
+async function pendingFilter(grader, subject) {
+  const visible = groupVisibleSql(grader, "q.groupId");
+  const questionConditions = [
+    "q.type = 'text'",
+    "q.createdBy IS NOT answers.answeredBy",
+    visible.sql,
+  ];
+  const params = [...visible.params];
+  if (subject) {
+    questionConditions.push("q.subject = ?");
+    params.push(subject);
+  }
+
+  const user = await get("SELECT role FROM users WHERE username = ?", [grader]);
+  if (!hasRole({ role: user && user.role }, "moderator")) {
+    questionConditions.push(
+      "(q.createdBy = ? OR q.id IN (SELECT questionId FROM question_graders WHERE username = ?))"
+    );
+    params.push(grader, grader);
+  }
+
+  const where = [
+    `answers.questionId IN (SELECT q.id FROM questions q WHERE ${questionConditions.join(" AND ")})`,
+    "NOT EXISTS (SELECT 1 FROM grades g WHERE g.answerId = answers.id AND g.supersededAt IS NULL)",
+    "answers.answeredBy IS NOT ?",
+  ];
+  params.push(grader);
+  return { where, params };
+}
+
+module.exports = { parseGrade, canGrade, current, record, format, pendingFilter };
@@ -0,0 +1,225 @@
+// groups.js
+//
+// Study groups (class sections). Anyone can create a group and becomes its
+// owner; others join with the group's invite code. Roles inside a group:
+//
+//   member      sees and posts group content
+//   moderator   also sees the invite code and removes members
+//   owner       also renames, changes roles and deletes the group
+//
+// A group always keeps at least one owner. Which content a member may see
+// is decided in visibility.js.
+const crypto = require("crypto");
+const { run, get, all } = require("./db");
+
+const ROLES = ["member", "moderator", "owner"];
+const DEFAULT_ROLE = "member";
+
+// No 0/O or 1/I, so codes can be read out loud
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_LENGTH = 8;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Tables whose rows can belong to a group
+const CONTENT_TABLES = ["notes", "files", "questions", "reflections"];
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// True if `membership` (a group_members row) has at least `role`
+function hasGroupRole(membership, role) {
+  if (!membership) return false;
+  return ROLES.indexOf(membership.role) >= ROLES.indexOf(role);
+}
+
+function newInviteCode() {
+  let code = "";
+  for (let i = 0; i < INVITE_LENGTH; i++)
+    code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  return code;
+}
+
+// Validates { name, description } from a request body. Only fields present
+// are returned, so it serves updates too.
+function parse(body, { requireName = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH)
+      return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    fields.name = name;
+  } else if (requireName) {
+    return { error: "name is required" };
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string")
+      return { error: "description must be a string" };
+    const description = (body.description || "").trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH)
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    fields.description = description;
+  }
+
+  return { fields };
+}
+
+function membership(groupId, username) {
+  if (!username) return Promise.resolve(undefined);
+  return get("SELECT * FROM group_members WHERE groupId = ? AND username = ?", [groupId, username]);
+}
+
+// Inserts with a fresh invite code, retrying on the rare collision
+async function withInviteCode(insert) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await insert(newInviteCode());
+    } catch (e) {
+      if (attempt >= 4 || !/UNIQUE constraint failed: groups\.inviteCode/.test(e.message)) throw e;
+    }
+  }
+}
+
+async function create(createdBy, { name, description }) {
+  const now = new Date().toISOString();
+  const { lastID } = await withInviteCode((code) =>
+    run(
+      `INSERT INTO groups (name, description, createdBy, inviteCode, createdAt, updatedAt)
+       VALUES (?,?,?,?,?,?)`,
+      [name, description || "", createdBy, code, now, now]
+    )
+  );
+  await run(
+    "INSERT INTO group_members (groupId, username, role, joinedAt) VALUES (?,?,?,?)",
+    [lastID, createdBy, "owner", now]
+  );
+  return get("SELECT * FROM groups WHERE id = ?", [lastID]);
+}
+
+async function update(group, fields) {
+  const names = Object.keys(fields);
+  if (names.length === 0) return group;
+
+  await run(
+    `UPDATE groups SET ${names.map((f) => `${f} = ?`).join(", ")}, updatedAt = ? WHERE id = ?`,
+    [...names.map((f) => fields[f]), new Date().toISOString(), group.id]
+  );
+  return get("SELECT * FROM groups WHERE id = ?", [group.id]);
+}
+
+async function regenerateInviteCode(group) {
+  await withInviteCode((code) =>
+    run("UPDATE groups SET inviteCode = ?, updatedAt = ? WHERE id = ?", [
+      code,
+      new Date().toISOString(),
+      group.id,
+    ])
+  );
+  return get("SELECT * FROM groups WHERE id = ?", [group.id]);
+}
+
+// Joins the group with `inviteCode` (case-insensitive). Returns
+// { group, membership, joined } (joined false if already a member), or
+// null for an unknown code.
+async function join(inviteCode, username) {
+  const code = typeof inviteCode === "string" ? inviteCode.trim().toUpperCase() : "";
+  const group = code && (await get("SELECT * FROM groups WHERE inviteCode = ?", [code]));
+  if (!group) return null;
+
+  const { changes } = await run(
+    "INSERT OR IGNORE INTO group_members (groupId, username, role, joinedAt) VALUES (?,?,?,?)",
+    [group.id, username, DEFAULT_ROLE, new Date().toISOString()]
+  );
+  return { group, membership: await membership(group.id, username), joined: changes > 0 };
+}
+
+async function ownerCount(groupId) {
+  const { n } = await get(
+    "SELECT COUNT(*) AS n FROM group_members WHERE groupId = ? AND role = 'owner'",
+    [groupId]
+  );
+  return n;
+}
+
+// Removes `member` (a group_members row). Returns false (and changes
+// nothing) when they are the group's last owner.
+async function removeMember(group, member) {
+  if (member.role === "owner" && (await ownerCount(group.id)) <= 1) return false;
+  await run("DELETE FROM group_members WHERE id = ?", [member.id]);
+  return true;
+}
+
+// Same rule as removeMember: the last owner can't step down
+async function setRole(group, member, role) {
+  if (member.role === "owner" && role !== "owner" && (await ownerCount(group.id)) <= 1) return false;
+  await run("UPDATE group_members SET role = ? WHERE id = ?", [role, member.id]);
+  return true;
+}
+
+function members(groupId) {
+  return all(
+    `SELECT username, role, joinedAt FROM group_members WHERE groupId = ?
+     ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END, username`,
+    [groupId]
+  );
+}
+
+// The groups `username` belongs to, with their role in each
+function mine(username) {
+  return all(
+    `SELECT g.*, m.role, m.joinedAt,
+            (SELECT COUNT(*) FROM group_members c WHERE c.groupId = g.id) AS memberCount
+     FROM groups g JOIN group_members m ON m.groupId = g.id
+     WHERE m.username = ? ORDER BY g.name, g.id`,
+    [username]
+  );
+}
+
+// Rows posted in the group, per table
+async function usage(groupId) {
+  const counts = {};
+  for (const table of CONTENT_TABLES) {
+    const { n } = await get(`SELECT COUNT(*) AS n FROM ${table} WHERE groupId = ?`, [groupId]);
+    counts[table] = n;
+  }
+  return counts;
+}
+
+// Deletes a group without content (members go with it). Returns false if
+// anything was posted in it.
+async function remove(group) {
+  const counts = await usage(group.id);
+  if (Object.values(counts).some((n) => n > 0)) return false;
+  await run("DELETE FROM groups WHERE id = ?", [group.id]);
+  return true;
+}
+
+// API shape of a group. The invite code is only for those who may invite
+// (`showInviteCode`).
+function format(group, showInviteCode) {
+  const { inviteCode, ...rest } = group;
+  return showInviteCode ? group : rest;
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasGroupRole,
+  parse,
+  membership,
+  create,
+  update,
+  regenerateInviteCode,
+  join,
+  removeMember,
+  setRole,
+  members,
+  mine,
+  usage,
+  remove,
+  format,
+};
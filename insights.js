@@ -0,0 +1,192 @@
+// insights.js
+//
+// Analytics over one user's reflections (GET /reflections/insights):
+//
+//   moodOverTime   reflections and average mood per day, week or month
+//   subjects       reflections per subject, their average mood, and the
+//                  user's progress value in that subject
+//   streaks        consecutive days with a reflection (current, longest)
+//   progress       how average mood and reflection count per subject
+//                  correlate with progress (Pearson r)
+//
+// Days are local days in APP_TIMEZONE; weeks start on Monday. Moods are
+// on the scale in moods.js; reflections whose mood has no score count as
+// reflections but not towards averages. Deleted reflections are left out.
+const { all } = require("./db");
+const timezone = require("./timezone");
+const moods = require("./moods");
+
+const INTERVALS = ["day", "week", "month"];
+const DEFAULT_INTERVAL = "week";
+
+// Below this many subjects with progress, r means nothing
+const MIN_CORRELATION_PAIRS = 3;
+
+// An average at or below this marks a subject as a low-mood one
+const LOW_MOOD = 2.5;
+
+const BUCKET = {
+  day: (day) => day,
+  week: timezone.weekStart,
+  month: timezone.monthStart,
+};
+
+// Validates { interval, from, to } (days, inclusive). Returns the options
+// or { error }.
+function parseQuery(query) {
+  const interval = query.interval || DEFAULT_INTERVAL;
+  if (!INTERVALS.includes(interval))
+    return { error: `interval must be one of: ${INTERVALS.join(", ")}` };
+
+  for (const field of ["from", "to"]) {
+    if (query[field] !== undefined && !timezone.isDay(query[field]))
+      return { error: `${field} must be a date (YYYY-MM-DD)` };
+  }
+  if (query.from && query.to && query.from > query.to)
+    return { error: "from must not be after to" };
+
+  return { interval, from: query.from || null, to: query.to || null };
+}
+
+function round(n) {
+  return n === null ? null : Math.round(n * 100) / 100;
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Pearson correlation of [x, y] pairs, or null with too few pairs or no
+// spread on either side
+function correlation(pairs) {
+  if (pairs.length < MIN_CORRELATION_PAIRS) return null;
+
+  const mx = average(pairs.map(([x]) => x));
+  const my = average(pairs.map(([, y]) => y));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return round(sxy / Math.sqrt(sxx * syy));
+}
+
+// Mood counts and average over a list of reflections
+function moodStats(rows) {
+  const counts = Object.fromEntries(moods.SCALE.map((s) => [s.mood, 0]));
+  const scores = [];
+  for (const row of rows) {
+    if (row.moodScore === null) continue;
+    scores.push(row.moodScore);
+    if (row.mood in counts) counts[row.mood]++;
+  }
+  return { reflections: rows.length, averageMood: round(average(scores)), moods: counts };
+}
+
+// current: run of days ending today (or yesterday, so it isn't lost before
+// today's reflection); longest: the longest run ever
+function streaksOf(days) {
+  const sorted = [...days].sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of sorted) {
+    run = previous && timezone.daysBetween(previous, day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const today = timezone.dayOf();
+  let day = days.has(today) ? today : timezone.addDays(today, -1);
+  let current = 0;
+  while (days.has(day)) {
+    current++;
+    day = timezone.addDays(day, -1);
+  }
+
+  return { current, longest, lastReflectionDay: previous };
+}
+
+// Insights for `username` over the days from..to (both optional). Streaks
+// always cover every reflection, so a date range can't break them.
+async function insights(username, { interval = DEFAULT_INTERVAL, from = null, to = null } = {}) {
+  const rows = await all(
+    `SELECT id, subjectId, subject, mood, moodScore, createdAt FROM reflections
+     WHERE username = ? AND isDeleted = 0 ORDER BY datetime(createdAt), id`,
+    [username]
+  );
+  for (const row of rows) row.day = timezone.dayOf(new Date(row.createdAt));
+
+  const inRange = rows.filter((r) => (!from || r.day >= from) && (!to || r.day <= to));
+
+  const periods = new Map();
+  for (const row of inRange) {
+    const period = BUCKET[interval](row.day);
+    if (!periods.has(period)) periods.set(period, []);
+    periods.get(period).push(row);
+  }
+  const moodOverTime = [...periods].map(([period, list]) => ({ period, ...moodStats(list) }));
+
+  const progress = await all(
+    "SELECT subjectId, subject, value, updatedAt FROM progress WHERE username = ?",
+    [username]
+  );
+  const progressOf = new Map(progress.map((p) => [p.subjectId || p.subject, p]));
+
+  const bySubject = new Map();
+  for (const row of inRange) {
+    const key = row.subjectId || row.subject;
+    if (!bySubject.has(key)) bySubject.set(key, { subjectId: row.subjectId, subject: row.subject, rows: [] });
+    bySubject.get(key).rows.push(row);
+  }
+  const subjects = [...bySubject]
+    .map(([key, { subjectId, subject, rows: list }]) => {
+      const stats = moodStats(list);
+      const p = progressOf.get(key);
+      return {
+        subjectId,
+        subject,
+        ...stats,
+        lowMood: stats.averageMood !== null && stats.averageMood <= LOW_MOOD,
+        lastReflectionAt: list[list.length - 1].createdAt,
+        progress: p ? p.value : null,
+      };
+    })
+    .sort((a, b) => b.reflections - a.reflections || String(a.subject).localeCompare(b.subject));
+
+  const withProgress = subjects.filter((s) => s.progress !== null && s.progress !== undefined);
+  const moodPairs = withProgress
+    .filter((s) => s.averageMood !== null)
+    .map((s) => [s.averageMood, Number(s.progress)]);
+
+  const overall = moodStats(inRange);
+  return {
+    username,
+    interval,
+    from,
+    to,
+    timezone: timezone.TIMEZONE,
+    scale: moods.SCALE,
+    summary: {
+      reflections: overall.reflections,
+      averageMood: overall.averageMood,
+      moods: overall.moods,
+      lastReflectionAt: inRange.length ? inRange[inRange.length - 1].createdAt : null,
+    },
+    moodOverTime,
+    subjects,
+    streaks: streaksOf(new Set(rows.map((r) => r.day))),
+    progress: {
+      subjects: withProgress.length,
+      moodCorrelation: correlation(moodPairs),
+      frequencyCorrelation: correlation(withProgress.map((s) => [s.reflections, Number(s.progress)])),
+    },
+  };
+}
+
+module.exports = { INTERVALS, parseQuery, insights };
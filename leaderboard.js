@@ -0,0 +1,147 @@
+// leaderboard.js
+//
+// Rankings of users by one metric over a time scope, optionally limited to
+// one subject. Users with users.leaderboardOptOut set are left out of the
+// public ranking (they can still see their own score). A study group's
+// leaderboard ranks only the group's members (on all their activity).
+//
+//   scope   all | week | month      (weeks start on Monday, in APP_TIMEZONE)
+//   metric  xp | correct | notes | files
+const { get, all } = require("./db");
+const timezone = require("./timezone");
+
+const SCOPES = ["all", "week", "month"];
+
+// metric → where its rows come from, whose they are, and the columns the
+// scope and subject filters apply to
+const METRICS = {
+  xp: {
+    from: "xp_events",
+    user: "username",
+    value: "SUM(amount)",
+    date: "createdAt",
+    subject: "subject",
+  },
+  correct: {
+    from: `grades g JOIN answers a ON a.id = g.answerId
+           JOIN questions q ON q.id = g.questionId`,
+    user: "a.answeredBy",
+    value: "COUNT(*)",
+    date: "g.createdAt",
+    subject: "q.subject",
+    // Answers to your own questions don't count
+    where: ["g.isCorrect = 1", "g.supersededAt IS NULL", "a.answeredBy IS NOT q.createdBy"],
+  },
+  notes: {
+    from: "notes",
+    user: "author",
+    value: "COUNT(*)",
+    date: "createdAt",
+    subject: "subject",
+  },
+  files: {
+    from: "files",
+    user: "uploader",
+    value: "COUNT(*)",
+    date: "uploadedAt",
+    subject: "subject",
+  },
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Start of the scope as an ISO instant, or null for all time
+function since(scope) {
+  const today = timezone.dayOf();
+  if (scope === "week") return timezone.startOf(timezone.weekStart(today));
+  if (scope === "month") return timezone.startOf(timezone.monthStart(today));
+  return null;
+}
+
+// Validates { scope, metric, subject, limit } from the query string.
+// Returns the parsed options or { error }.
+function parseQuery(query) {
+  const scope = query.scope || "all";
+  if (!SCOPES.includes(scope))
+    return { error: `scope must be one of: ${SCOPES.join(", ")}` };
+
+  const metric = query.metric || "xp";
+  if (!METRICS[metric])
+    return { error: `metric must be one of: ${Object.keys(METRICS).join(", ")}` };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1)
+    return { error: "limit must be a positive integer" };
+
+  return { scope, metric, subject: query.subject || null, limit: Math.min(limit, MAX_LIMIT) };
+}
+
+// Top `limit` users plus the caller's own standing (`username`, optional).
+// Ties share a rank (1, 2, 2, 4). `groupId` limits it to that group's members.
+async function leaderboard({ scope, metric, subject, limit, groupId = null }, username) {
+  const spec = METRICS[metric];
+  const start = since(scope);
+
+  const conditions = [`${spec.user} IS NOT NULL`, ...(spec.where || [])];
+  const params = [];
+  if (start) {
+    conditions.push(`${spec.date} >= ?`);
+    params.push(start);
+  }
+  if (subject) {
+    conditions.push(`${spec.subject} = ?`);
+    params.push(subject);
+  }
+  if (groupId) {
+    conditions.push(`${spec.user} IN (SELECT username FROM group_members WHERE groupId = ?)`);
+    params.push(groupId);
+  }
+
+  const scores = `
+    SELECT ${spec.user} AS username, ${spec.value} AS value FROM ${spec.from}
+    WHERE ${conditions.join(" AND ")}
+    GROUP BY ${spec.user} HAVING value > 0`;
+
+  // Accounts that no longer exist still rank; only an explicit opt-out hides
+  const ranked = `
+    WITH scores AS (${scores})
+    SELECT s.username, s.value, RANK() OVER (ORDER BY s.value DESC) AS rank
+    FROM scores s LEFT JOIN users u ON u.username = s.username
+    WHERE COALESCE(u.leaderboardOptOut, 0) = 0`;
+
+  const entries = await all(
+    `SELECT * FROM (${ranked}) ORDER BY rank, username LIMIT ?`,
+    [...params, limit]
+  );
+
+  let me = null;
+  if (username) {
+    const row = await get(`SELECT * FROM (${ranked}) WHERE username = ?`, [...params, username]);
+    if (row) {
+      me = { rank: row.rank, username, value: row.value, optedOut: false };
+    } else {
+      const own = await get(`SELECT value FROM (${scores}) WHERE username = ?`, [...params, username]);
+      const user = await get("SELECT leaderboardOptOut FROM users WHERE username = ?", [username]);
+      me = {
+        rank: null,
+        username,
+        value: own ? own.value : 0,
+        optedOut: !!(user && user.leaderboardOptOut),
+      };
+    }
+  }
+
+  return {
+    scope,
+    metric,
+    subject,
+    ...(groupId && { groupId }),
+    since: start,
+    timezone: timezone.TIMEZONE,
+    entries: entries.map((e) => ({ rank: e.rank, username: e.username, value: e.value })),
+    me,
+  };
+}
+
+module.exports = { SCOPES, METRICS, parseQuery, leaderboard };
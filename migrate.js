@@ -0,0 +1,157 @@
+// migrate.js
+//
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_description.js and exports async up(ctx) / down(ctx).
+//
+//   node migrate.js up [version]   apply pending migrations (up to version)
+//   node migrate.js down [steps]   roll back the last N migrations (default 1)
+//   node migrate.js status         list applied / pending migrations
+const fs = require("fs");
+const path = require("path");
+const { run, get, all, exec } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = FILE_RE.exec(file);
+      if (!match) return null;
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        ...require(path.join(MIGRATIONS_DIR, file)),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+// Helpers handed to every migration
+async function columnExists(table, column) {
+  const cols = await all(`PRAGMA table_info(${table})`);
+  return cols.some((c) => c.name === column);
+}
+
+async function addColumnIfMissing(table, column, definition) {
+  if (!(await columnExists(table, column)))
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+const ctx = { run, get, all, exec, columnExists, addColumnIfMissing };
+
+async function ensureMigrationsTable() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+async function appliedVersions() {
+  await ensureMigrationsTable();
+  const rows = await all("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(rows.map((r) => r.version));
+}
+
+// Runs one migration step in a transaction. Foreign keys are switched off
+// for the duration so migrations can rebuild tables, then checked before
+// committing (the procedure recommended by the SQLite docs).
+async function runStep(migration, direction) {
+  await exec("PRAGMA foreign_keys = OFF");
+  await exec("BEGIN");
+  try {
+    await migration[direction](ctx);
+
+    const violations = await all("PRAGMA foreign_key_check");
+    if (violations.length > 0)
+      throw new Error(`foreign key violations in ${violations[0].table}`);
+
+    if (direction === "up") {
+      await run(
+        "INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?,?,?)",
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    } else {
+      await run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    }
+
+    await exec("COMMIT");
+  } catch (e) {
+    await exec("ROLLBACK");
+    e.message = `Migration ${label(migration)} (${direction}) failed: ${e.message}`;
+    throw e;
+  } finally {
+    await exec("PRAGMA foreign_keys = ON");
+  }
+}
+
+async function up(target = Infinity) {
+  const applied = await appliedVersions();
+  const pending = loadMigrations().filter(
+    (m) => !applied.has(m.version) && m.version <= target
+  );
+
+  for (const migration of pending) {
+    await runStep(migration, "up");
+    console.log(`migrated ${label(migration)}`);
+  }
+  return pending.map((m) => m.version);
+}
+
+async function down(steps = 1) {
+  const applied = await appliedVersions();
+  const toRevert = loadMigrations()
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    await runStep(migration, "down");
+    console.log(`reverted ${label(migration)}`);
+  }
+  return toRevert.map((m) => m.version);
+}
+
+async function status() {
+  const applied = await appliedVersions();
+  return loadMigrations().map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+  }));
+}
+
+module.exports = { up, down, status };
+
+if (require.main === module) {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  const commands = {
+    up: () => up(arg ? Number(arg) : Infinity),
+    down: () => down(arg ? Number(arg) : 1),
+    status: async () => {
+      for (const m of await status()) {
+        console.log(`${m.applied ? "[x]" : "[ ]"} ${label(m)}`);
+      }
+    },
+  };
+
+  if (!commands[command]) {
+    console.error("Usage: node migrate.js up [version] | down [steps] | status");
+    process.exit(1);
+  }
+
+  commands[command]().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
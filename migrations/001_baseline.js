@@ -0,0 +1,132 @@
+// 001 — baseline schema
+//
+// Tables as server.js created them before migrations existed. Everything is
+// IF NOT EXISTS / add-if-missing so databases created by either the old
+// server.js or the old db.js upgrade in place.
+
+async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE,
+      password TEXT,
+      xp INTEGER DEFAULT 0,
+      level INTEGER DEFAULT 1,
+      streak INTEGER DEFAULT 0,
+      last_login TEXT
+    )
+  `);
+  // db.js used to create users without the XP columns
+  await addColumnIfMissing("users", "xp", "INTEGER DEFAULT 0");
+  await addColumnIfMissing("users", "level", "INTEGER DEFAULT 1");
+  await addColumnIfMissing("users", "streak", "INTEGER DEFAULT 0");
+  await addColumnIfMissing("users", "last_login", "TEXT");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT,
+      author TEXT,
+      content TEXT,
+      isPublic INTEGER DEFAULT 1,
+      createdAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      noteId INTEGER,
+      author TEXT,
+      content TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT,
+      originalName TEXT,
+      filePath TEXT,
+      uploader TEXT,
+      uploadedAt TEXT
+    )
+  `);
+  // ...and files without uploader
+  await addColumnIfMissing("files", "uploader", "TEXT");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS reflections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT,
+      subject TEXT,
+      content TEXT,
+      mood TEXT,
+      createdAt TEXT,
+      isDeleted INTEGER DEFAULT 0
+    )
+  `);
+  // Added by hand on some copies (see compre.sqbpro)
+  await addColumnIfMissing("reflections", "isDeleted", "INTEGER DEFAULT 0");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS questions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT,
+      text TEXT,
+      suggested TEXT,
+      createdBy TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS answers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      questionId INTEGER,
+      answerText TEXT,
+      answeredBy TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS grades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      answerId INTEGER,
+      questionId INTEGER,
+      isCorrect INTEGER,
+      feedback TEXT,
+      gradedBy TEXT,
+      createdAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT,
+      subject TEXT,
+      value INTEGER,
+      updatedAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS exp (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT,
+      amount INTEGER,
+      createdAt TEXT
+    )
+  `);
+}
+
+// These tables hold the data from before migrations existed; rolling back
+// past here would drop all of it, so it isn't allowed.
+async function down() {
+  throw new Error("The baseline migration can't be reverted");
+}
+
+module.exports = { up, down };
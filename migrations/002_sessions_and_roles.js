@@ -0,0 +1,22 @@
+// 002 — login sessions and user roles
+
+async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      username TEXT,
+      createdAt TEXT,
+      expiresAt TEXT,
+      revokedAt TEXT
+    )
+  `);
+
+  await addColumnIfMissing("users", "role", "TEXT DEFAULT 'student'");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS sessions");
+  await run("ALTER TABLE users DROP COLUMN role");
+}
+
+module.exports = { up, down };
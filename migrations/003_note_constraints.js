@@ -0,0 +1,76 @@
+// 003 — NOT NULL constraints on notes/comments and comments.noteId
+// foreign key with ON DELETE CASCADE (previously only in db.js).
+//
+// SQLite cannot add constraints to an existing table, so both tables are
+// rebuilt. Orphaned comments are dropped and missing text becomes "".
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE notes_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT NOT NULL,
+      author TEXT,
+      content TEXT NOT NULL,
+      isPublic INTEGER DEFAULT 1,
+      createdAt TEXT
+    )
+  `);
+  await run(`
+    INSERT INTO notes_new (id, subject, author, content, isPublic, createdAt)
+    SELECT id, COALESCE(subject, ''), author, COALESCE(content, ''), isPublic, createdAt
+    FROM notes
+  `);
+  await run("DROP TABLE notes");
+  await run("ALTER TABLE notes_new RENAME TO notes");
+
+  await run(`
+    CREATE TABLE comments_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      noteId INTEGER NOT NULL,
+      author TEXT,
+      content TEXT NOT NULL,
+      createdAt TEXT,
+      FOREIGN KEY (noteId) REFERENCES notes(id) ON DELETE CASCADE
+    )
+  `);
+  await run(`
+    INSERT INTO comments_new (id, noteId, author, content, createdAt)
+    SELECT id, noteId, author, COALESCE(content, ''), createdAt
+    FROM comments
+    WHERE noteId IN (SELECT id FROM notes)
+  `);
+  await run("DROP TABLE comments");
+  await run("ALTER TABLE comments_new RENAME TO comments");
+  await run("CREATE INDEX IF NOT EXISTS idx_comments_noteId ON comments(noteId)");
+}
+
+async function down({ run }) {
+  await run(`
+    CREATE TABLE comments_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      noteId INTEGER,
+      author TEXT,
+      content TEXT,
+      createdAt TEXT
+    )
+  `);
+  await run("INSERT INTO comments_old SELECT id, noteId, author, content, createdAt FROM comments");
+  await run("DROP TABLE comments");
+  await run("ALTER TABLE comments_old RENAME TO comments");
+
+  await run(`
+    CREATE TABLE notes_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT,
+      author TEXT,
+      content TEXT,
+      isPublic INTEGER DEFAULT 1,
+      createdAt TEXT
+    )
+  `);
+  await run("INSERT INTO notes_old SELECT id, subject, author, content, isPublic, createdAt FROM notes");
+  await run("DROP TABLE notes");
+  await run("ALTER TABLE notes_old RENAME TO notes");
+}
+
+module.exports = { up, down };
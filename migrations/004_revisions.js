@@ -0,0 +1,32 @@
+// 004 — revision history for edited notes, comments, questions and answers
+
+const EDITABLE = ["notes", "comments", "questions", "answers"];
+
+async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entityType TEXT NOT NULL,
+      entityId INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      editedBy TEXT,
+      createdAt TEXT,
+      UNIQUE (entityType, entityId, version)
+    )
+  `);
+
+  for (const table of EDITABLE) {
+    await addColumnIfMissing(table, "updatedAt", "TEXT");
+  }
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS revisions");
+
+  for (const table of EDITABLE) {
+    await run(`ALTER TABLE ${table} DROP COLUMN updatedAt`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,128 @@
+// 005 — full-text search index (FTS5)
+//
+// One index for every searchable type. rowid = entityId * 8 + type code so
+// triggers can update or remove an entry without scanning. Visibility is
+// kept alongside (owner, isPrivate) so search can filter without joins.
+//
+//   1 note   2 question   3 answer   4 reflection   5 file
+
+async function up({ run, exec }) {
+  await run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+      body,
+      entityType UNINDEXED,
+      entityId UNINDEXED,
+      subject UNINDEXED,
+      owner UNINDEXED,
+      isPrivate UNINDEXED,
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    )
+  `);
+
+  await exec(`
+    CREATE TRIGGER search_notes_ai AFTER INSERT ON notes BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 1, new.content, 'note', new.id, new.subject, new.author, COALESCE(new.isPublic, 1) = 0);
+    END;
+    CREATE TRIGGER search_notes_au AFTER UPDATE ON notes BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 1;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 1, new.content, 'note', new.id, new.subject, new.author, COALESCE(new.isPublic, 1) = 0);
+    END;
+    CREATE TRIGGER search_notes_ad AFTER DELETE ON notes BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 1;
+    END;
+
+    CREATE TRIGGER search_questions_ai AFTER INSERT ON questions BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 2, new.text || ' ' || COALESCE(new.suggested, ''), 'question', new.id, new.subject, new.createdBy, 0);
+    END;
+    CREATE TRIGGER search_questions_au AFTER UPDATE ON questions BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 2;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 2, new.text || ' ' || COALESCE(new.suggested, ''), 'question', new.id, new.subject, new.createdBy, 0);
+      UPDATE search_index SET subject = new.subject
+      WHERE rowid IN (SELECT id * 8 + 3 FROM answers WHERE questionId = new.id);
+    END;
+    CREATE TRIGGER search_questions_ad AFTER DELETE ON questions BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 2;
+    END;
+
+    CREATE TRIGGER search_answers_ai AFTER INSERT ON answers BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 3, new.answerText, 'answer', new.id,
+              (SELECT subject FROM questions WHERE id = new.questionId), new.answeredBy, 0);
+    END;
+    CREATE TRIGGER search_answers_au AFTER UPDATE ON answers BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 3;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 3, new.answerText, 'answer', new.id,
+              (SELECT subject FROM questions WHERE id = new.questionId), new.answeredBy, 0);
+    END;
+    CREATE TRIGGER search_answers_ad AFTER DELETE ON answers BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 3;
+    END;
+
+    CREATE TRIGGER search_reflections_ai AFTER INSERT ON reflections WHEN new.isDeleted = 0 BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 4, new.content || ' ' || COALESCE(new.mood, ''), 'reflection', new.id, new.subject, new.username, 1);
+    END;
+    CREATE TRIGGER search_reflections_au AFTER UPDATE ON reflections BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 4;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      SELECT new.id * 8 + 4, new.content || ' ' || COALESCE(new.mood, ''), 'reflection', new.id, new.subject, new.username, 1
+      WHERE new.isDeleted = 0;
+    END;
+    CREATE TRIGGER search_reflections_ad AFTER DELETE ON reflections BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 4;
+    END;
+
+    CREATE TRIGGER search_files_ai AFTER INSERT ON files BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 5, new.originalName, 'file', new.id, new.subject, new.uploader, 0);
+    END;
+    CREATE TRIGGER search_files_au AFTER UPDATE OF originalName, subject, uploader ON files BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 5;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 5, new.originalName, 'file', new.id, new.subject, new.uploader, 0);
+    END;
+    CREATE TRIGGER search_files_ad AFTER DELETE ON files BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 5;
+    END;
+  `);
+
+  // Index what is already there
+  await exec(`
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT id * 8 + 1, content, 'note', id, subject, author, COALESCE(isPublic, 1) = 0 FROM notes;
+
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT id * 8 + 2, text || ' ' || COALESCE(suggested, ''), 'question', id, subject, createdBy, 0 FROM questions;
+
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT a.id * 8 + 3, a.answerText, 'answer', a.id, q.subject, a.answeredBy, 0
+    FROM answers a LEFT JOIN questions q ON q.id = a.questionId;
+
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT id * 8 + 4, content || ' ' || COALESCE(mood, ''), 'reflection', id, subject, username, 1
+    FROM reflections WHERE isDeleted = 0;
+
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT id * 8 + 5, originalName, 'file', id, subject, uploader, 0 FROM files;
+  `);
+}
+
+const TRIGGERS = ["notes", "questions", "answers", "reflections", "files"].flatMap((t) => [
+  `search_${t}_ai`,
+  `search_${t}_au`,
+  `search_${t}_ad`,
+]);
+
+async function down({ run }) {
+  for (const trigger of TRIGGERS) {
+    await run(`DROP TRIGGER IF EXISTS ${trigger}`);
+  }
+  await run("DROP TABLE IF EXISTS search_index");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// 006 — indexes behind GET /notes (subject page + batched comment loading)
+
+async function up({ run }) {
+  await run("CREATE INDEX IF NOT EXISTS idx_notes_subject_createdAt ON notes(subject, createdAt)");
+  await run("CREATE INDEX IF NOT EXISTS idx_comments_noteId_createdAt ON comments(noteId, createdAt)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_notes_subject_createdAt");
+  await run("DROP INDEX IF EXISTS idx_comments_noteId_createdAt");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// 007 — private notes shared with specific users
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS note_shares (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      noteId INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      sharedBy TEXT,
+      createdAt TEXT,
+      UNIQUE (noteId, username),
+      FOREIGN KEY (noteId) REFERENCES notes(id) ON DELETE CASCADE
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_note_shares_username ON note_shares(username)");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS note_shares");
+}
+
+module.exports = { up, down };
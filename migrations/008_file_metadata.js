@@ -0,0 +1,19 @@
+// 008 — size, MIME type and content hash for uploaded files
+
+async function up({ run, addColumnIfMissing }) {
+  await addColumnIfMissing("files", "size", "INTEGER");
+  await addColumnIfMissing("files", "mimeType", "TEXT");
+  await addColumnIfMissing("files", "sha256", "TEXT");
+  await run("CREATE INDEX IF NOT EXISTS idx_files_sha256 ON files(sha256)");
+  await run("CREATE INDEX IF NOT EXISTS idx_files_uploader ON files(uploader)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_files_sha256");
+  await run("DROP INDEX IF EXISTS idx_files_uploader");
+  await run("ALTER TABLE files DROP COLUMN size");
+  await run("ALTER TABLE files DROP COLUMN mimeType");
+  await run("ALTER TABLE files DROP COLUMN sha256");
+}
+
+module.exports = { up, down };
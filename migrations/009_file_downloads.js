@@ -0,0 +1,11 @@
+// 009 — download counter for files
+
+async function up({ addColumnIfMissing }) {
+  await addColumnIfMissing("files", "downloads", "INTEGER DEFAULT 0");
+}
+
+async function down({ run }) {
+  await run("ALTER TABLE files DROP COLUMN downloads");
+}
+
+module.exports = { up, down };
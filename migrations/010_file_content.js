@@ -0,0 +1,59 @@
+// 010 — extracted text and thumbnails for uploaded files
+//
+// The file's search entry (rowid = id * 8 + 5, see 005) becomes its name
+// followed by the extracted text, so file contents are searchable.
+
+async function up({ run, exec }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS file_content (
+      fileId INTEGER PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'pending',
+      text TEXT,
+      thumbnailPath TEXT,
+      error TEXT,
+      processedAt TEXT,
+      FOREIGN KEY (fileId) REFERENCES files(id) ON DELETE CASCADE
+    )
+  `);
+
+  await exec(`
+    DROP TRIGGER IF EXISTS search_files_au;
+    CREATE TRIGGER search_files_au AFTER UPDATE OF originalName, subject, uploader ON files BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 5;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 5,
+              new.originalName || COALESCE(char(10) || (SELECT text FROM file_content WHERE fileId = new.id), ''),
+              'file', new.id, new.subject, new.uploader, 0);
+    END;
+
+    CREATE TRIGGER search_file_content_ai AFTER INSERT ON file_content WHEN new.text IS NOT NULL BEGIN
+      DELETE FROM search_index WHERE rowid = new.fileId * 8 + 5;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      SELECT id * 8 + 5, originalName || char(10) || new.text, 'file', id, subject, uploader, 0
+      FROM files WHERE id = new.fileId;
+    END;
+    CREATE TRIGGER search_file_content_au AFTER UPDATE OF text ON file_content BEGIN
+      DELETE FROM search_index WHERE rowid = new.fileId * 8 + 5;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      SELECT id * 8 + 5, originalName || COALESCE(char(10) || new.text, ''), 'file', id, subject, uploader, 0
+      FROM files WHERE id = new.fileId;
+    END;
+  `);
+}
+
+async function down({ run, exec }) {
+  await run("DROP TRIGGER IF EXISTS search_file_content_ai");
+  await run("DROP TRIGGER IF EXISTS search_file_content_au");
+  await run("DROP TABLE IF EXISTS file_content");
+
+  await exec(`
+    DROP TRIGGER IF EXISTS search_files_au;
+    CREATE TRIGGER search_files_au AFTER UPDATE OF originalName, subject, uploader ON files BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 5;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 5, new.originalName, 'file', new.id, new.subject, new.uploader, 0);
+    END;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,65 @@
+// 011 — XP ledger replacing users.xp/level and the exp table
+//
+// Existing balances are folded in by a copy of the idempotent
+// reconciliation `node xp.js reconcile` runs, as it stood in this
+// migration, so later changes to xp.js don't change what it does.
+
+// Level-up cost at the time: 75 for level 1→2, then +25 per level
+function legacyTotal(level, xp) {
+  let total = xp || 0;
+  for (let l = 1; l < (level || 1); l++) total += 50 + l * 25;
+  return total;
+}
+
+async function reconcile({ run, all }) {
+  const users = await all(
+    `SELECT u.id, u.username, u.xp, u.level FROM users u
+     WHERE (COALESCE(u.xp, 0) > 0 OR COALESCE(u.level, 1) > 1)
+       AND NOT EXISTS (
+         SELECT 1 FROM xp_events e WHERE e.sourceType = 'legacy_users' AND e.sourceId = u.id
+       )`
+  );
+
+  for (const u of users) {
+    await run(
+      `INSERT INTO xp_events (username, amount, reason, sourceType, sourceId, createdAt)
+       VALUES (?,?,?,?,?,?)`,
+      [u.username, legacyTotal(u.level, u.xp), "legacy balance", "legacy_users", u.id, new Date().toISOString()]
+    );
+  }
+
+  await run(
+    `INSERT INTO xp_events (username, amount, reason, sourceType, sourceId, createdAt)
+     SELECT x.username, x.amount, 'legacy exp', 'legacy_exp', x.id, COALESCE(x.createdAt, ?)
+     FROM exp x
+     WHERE x.username IS NOT NULL AND COALESCE(x.amount, 0) != 0
+       AND NOT EXISTS (
+         SELECT 1 FROM xp_events e WHERE e.sourceType = 'legacy_exp' AND e.sourceId = x.id
+       )`,
+    [new Date().toISOString()]
+  );
+}
+
+async function up({ run, all }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS xp_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      reason TEXT,
+      sourceType TEXT,
+      sourceId INTEGER,
+      createdAt TEXT NOT NULL
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_xp_events_username ON xp_events(username, createdAt)");
+  await run("CREATE INDEX IF NOT EXISTS idx_xp_events_source ON xp_events(sourceType, sourceId)");
+
+  await reconcile({ run, all });
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS xp_events");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// 012 — daily activity log for login streaks
+//
+// One row per user per local day: "active" for a day with authenticated
+// activity, "freeze" for a missed day covered by a streak freeze.
+
+async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS activity_days (
+      username TEXT NOT NULL,
+      day TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'active',
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (username, day)
+    )
+  `);
+
+  await addColumnIfMissing("users", "longestStreak", "INTEGER DEFAULT 0");
+  await addColumnIfMissing("users", "streakFreezes", "INTEGER DEFAULT 0");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS activity_days");
+  await run("ALTER TABLE users DROP COLUMN longestStreak");
+  await run("ALTER TABLE users DROP COLUMN streakFreezes");
+}
+
+module.exports = { up, down };
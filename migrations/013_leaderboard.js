@@ -0,0 +1,34 @@
+// 013 — leaderboard support: the subject each XP event was earned in, and
+// a per-user opt-out from public rankings
+
+// sourceType → subject of the rewarded item
+const SOURCE_SUBJECTS = {
+  note: "SELECT subject FROM notes WHERE id = xp_events.sourceId",
+  file: "SELECT subject FROM files WHERE id = xp_events.sourceId",
+  question: "SELECT subject FROM questions WHERE id = xp_events.sourceId",
+  answer: `SELECT q.subject FROM answers a JOIN questions q ON q.id = a.questionId
+           WHERE a.id = xp_events.sourceId`,
+  reflection: "SELECT subject FROM reflections WHERE id = xp_events.sourceId",
+};
+
+async function up({ run, addColumnIfMissing }) {
+  await addColumnIfMissing("xp_events", "subject", "TEXT");
+  await addColumnIfMissing("users", "leaderboardOptOut", "INTEGER DEFAULT 0");
+
+  for (const [sourceType, sql] of Object.entries(SOURCE_SUBJECTS)) {
+    await run(
+      `UPDATE xp_events SET subject = (${sql}) WHERE sourceType = ? AND subject IS NULL`,
+      [sourceType]
+    );
+  }
+
+  await run("CREATE INDEX IF NOT EXISTS idx_xp_events_createdAt ON xp_events(createdAt)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_xp_events_createdAt");
+  await run("ALTER TABLE xp_events DROP COLUMN subject");
+  await run("ALTER TABLE users DROP COLUMN leaderboardOptOut");
+}
+
+module.exports = { up, down };
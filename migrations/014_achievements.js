@@ -0,0 +1,19 @@
+// 014 — achievements unlocked per user (definitions live in achievements.js)
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      achievementId TEXT NOT NULL,
+      unlockedAt TEXT NOT NULL,
+      UNIQUE (username, achievementId)
+    )
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS user_achievements");
+}
+
+module.exports = { up, down };
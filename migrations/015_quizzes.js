@@ -0,0 +1,47 @@
+// 015 — practice quizzes drawn from the question bank
+//
+// quiz_items snapshots each question's subject, text and suggested answer
+// when the quiz is generated, so later edits or deletions don't change a
+// past attempt's score.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS quizzes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      subjects TEXT NOT NULL,
+      timeLimitSeconds INTEGER,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT,
+      submittedAt TEXT,
+      score INTEGER,
+      total INTEGER NOT NULL,
+      late INTEGER DEFAULT 0
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_quizzes_username ON quizzes(username, createdAt)");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS quiz_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      quizId INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      questionId INTEGER,
+      subject TEXT,
+      text TEXT,
+      expected TEXT,
+      response TEXT,
+      isCorrect INTEGER,
+      similarity REAL,
+      UNIQUE (quizId, position),
+      FOREIGN KEY (quizId) REFERENCES quizzes(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS quiz_items");
+  await run("DROP TABLE IF EXISTS quizzes");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// 016 — structured question types (see questionTypes.js)
+//
+// questions.choices and questions.answerKey hold JSON. Existing questions
+// become free-text ("text"), graded by hand as before. Grades written by
+// the automatic grader are flagged with grades.isAuto.
+
+async function up({ addColumnIfMissing }) {
+  await addColumnIfMissing("questions", "type", "TEXT NOT NULL DEFAULT 'text'");
+  await addColumnIfMissing("questions", "choices", "TEXT");
+  await addColumnIfMissing("questions", "answerKey", "TEXT");
+
+  await addColumnIfMissing("grades", "isAuto", "INTEGER DEFAULT 0");
+
+  // Quiz items snapshot the type along with the rest of the question
+  await addColumnIfMissing("quiz_items", "type", "TEXT NOT NULL DEFAULT 'text'");
+  await addColumnIfMissing("quiz_items", "choices", "TEXT");
+  await addColumnIfMissing("quiz_items", "answerKey", "TEXT");
+}
+
+async function down({ run }) {
+  for (const column of ["type", "choices", "answerKey"]) {
+    await run(`ALTER TABLE questions DROP COLUMN ${column}`);
+    await run(`ALTER TABLE quiz_items DROP COLUMN ${column}`);
+  }
+  await run("ALTER TABLE grades DROP COLUMN isAuto");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// 017 — spaced-repetition review schedule (SM-2) per user and question
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS review_cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      questionId INTEGER NOT NULL,
+      easiness REAL NOT NULL DEFAULT 2.5,
+      repetitions INTEGER NOT NULL DEFAULT 0,
+      intervalDays INTEGER NOT NULL DEFAULT 0,
+      lapses INTEGER NOT NULL DEFAULT 0,
+      dueDate TEXT NOT NULL,
+      lastQuality INTEGER,
+      lastReviewedAt TEXT,
+      UNIQUE (username, questionId),
+      FOREIGN KEY (questionId) REFERENCES questions(id) ON DELETE CASCADE
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_review_cards_due ON review_cards(username, dueDate)");
+  await run("CREATE INDEX IF NOT EXISTS idx_review_cards_question ON review_cards(questionId)");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS review_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      questionId INTEGER NOT NULL,
+      quality INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      reviewedAt TEXT NOT NULL,
+      FOREIGN KEY (questionId) REFERENCES questions(id) ON DELETE CASCADE
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_review_log_user ON review_log(username, questionId)");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS review_log");
+  await run("DROP TABLE IF EXISTS review_cards");
+}
+
+module.exports = { up, down };
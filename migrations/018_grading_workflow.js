@@ -0,0 +1,62 @@
+// 018 — grading workflow: partial credit, rubrics and regrade history on
+// grades; extra graders per question; and notifications for answerers
+//
+// A regrade no longer replaces the old row: the previous grade gets
+// supersededAt/supersededBy and the current grade is the one without.
+
+async function up({ run, addColumnIfMissing }) {
+  await addColumnIfMissing("grades", "score", "REAL");
+  await addColumnIfMissing("grades", "rubric", "TEXT");
+  await addColumnIfMissing("grades", "supersededAt", "TEXT");
+  await addColumnIfMissing("grades", "supersededBy", "INTEGER");
+
+  await run("UPDATE grades SET score = CASE WHEN isCorrect = 1 THEN 1.0 ELSE 0.0 END WHERE score IS NULL");
+
+  // Older databases could hold several rows per answer; keep the newest
+  await run(`
+    UPDATE grades SET supersededAt = COALESCE(createdAt, ''),
+      supersededBy = (SELECT MAX(n.id) FROM grades n WHERE n.answerId = grades.answerId)
+    WHERE supersededAt IS NULL
+      AND id < (SELECT MAX(n.id) FROM grades n WHERE n.answerId = grades.answerId)
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_grades_answer ON grades(answerId, supersededAt)");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS question_graders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      questionId INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      addedBy TEXT,
+      createdAt TEXT,
+      UNIQUE (questionId, username),
+      FOREIGN KEY (questionId) REFERENCES questions(id) ON DELETE CASCADE
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_question_graders_username ON question_graders(username)");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      data TEXT,
+      createdAt TEXT NOT NULL,
+      readAt TEXT
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_notifications_username ON notifications(username, createdAt)");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS notifications");
+  await run("DROP TABLE IF EXISTS question_graders");
+  await run("DROP INDEX IF EXISTS idx_grades_answer");
+  // Only the current grade of each answer survives the way back
+  await run("DELETE FROM grades WHERE supersededAt IS NOT NULL");
+  for (const column of ["score", "rubric", "supersededAt", "supersededBy"]) {
+    await run(`ALTER TABLE grades DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+// 019 — subjects as data: a subjects table (code, semester, year level,
+// archived) replacing the hard-coded lesson list, and a subjectId on every
+// table that stores a subject
+//
+// The subject name stays on each row as well (search, leaderboards,
+// achievements and quizzes filter by it); triggers keep subjectId in step
+// when the name is edited. Subjects found in existing rows that aren't in
+// the curriculum are kept as archived subjects so nothing is orphaned.
+
+const SEED = [
+  ["UTS", "Understanding the Self", 1],
+  ["RPH", "Readings in the Philippine History", 1],
+  ["MMW", "Mathematics in the Modern World", 1],
+  ["ETHICS", "Ethics", 1],
+  ["RIZAL", "The Life and Works of Rizal", 1],
+  ["PURCOM", "Purposive Communication", 2],
+  ["ARTAPP", "Art Appreciation", 2],
+  ["STS", "Science, Technology and Society", 2],
+  ["TCW", "The Contemporary World", 2],
+];
+
+const TABLES = ["notes", "files", "questions", "reflections", "progress"];
+
+async function up({ run, all, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS subjects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      semester INTEGER,
+      yearLevel INTEGER,
+      archived INTEGER NOT NULL DEFAULT 0,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  const now = new Date().toISOString();
+  for (const [code, name, semester] of SEED) {
+    await run(
+      `INSERT OR IGNORE INTO subjects (code, name, semester, yearLevel, createdAt, updatedAt)
+       VALUES (?,?,?,1,?,?)`,
+      [code, name, semester, now, now]
+    );
+  }
+
+  for (const table of TABLES) {
+    await addColumnIfMissing(table, "subjectId", "INTEGER");
+
+    // Free-text subjects outside the curriculum (typos included)
+    const unknown = await all(
+      `SELECT DISTINCT TRIM(subject) AS name FROM ${table}
+       WHERE TRIM(COALESCE(subject, '')) != ''
+         AND TRIM(subject) NOT IN (SELECT name FROM subjects)`
+    );
+    for (const { name } of unknown) {
+      await run(
+        "INSERT OR IGNORE INTO subjects (name, archived, createdAt, updatedAt) VALUES (?,1,?,?)",
+        [name, now, now]
+      );
+    }
+
+    await run(`
+      UPDATE ${table} SET subjectId = (SELECT s.id FROM subjects s WHERE s.name = TRIM(${table}.subject))
+      WHERE subjectId IS NULL AND TRIM(COALESCE(subject, '')) != ''
+    `);
+    // Spell each subject the way the subjects table does
+    await run(`
+      UPDATE ${table} SET subject = (SELECT s.name FROM subjects s WHERE s.id = ${table}.subjectId)
+      WHERE subjectId IS NOT NULL
+        AND subject != (SELECT s.name FROM subjects s WHERE s.id = ${table}.subjectId) COLLATE BINARY
+    `);
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_${table}_subjectId ON ${table}(subjectId)`);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS subjects_${table}_au AFTER UPDATE OF subject ON ${table} BEGIN
+        UPDATE ${table} SET subjectId = (SELECT s.id FROM subjects s WHERE s.name = new.subject)
+        WHERE id = new.id;
+      END
+    `);
+  }
+}
+
+async function down({ run }) {
+  for (const table of TABLES) {
+    await run(`DROP TRIGGER IF EXISTS subjects_${table}_au`);
+    await run(`DROP INDEX IF EXISTS idx_${table}_subjectId`);
+    await run(`ALTER TABLE ${table} DROP COLUMN subjectId`);
+  }
+  await run("DROP TABLE IF EXISTS subjects");
+}
+
+module.exports = { up, down };
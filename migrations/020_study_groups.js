@@ -0,0 +1,49 @@
+// 020 — study groups: groups with an invite code, members with a role
+// (owner | moderator | member), and an optional groupId on notes, files,
+// questions and reflections. Content in a group is only visible to its
+// members (see visibility.js).
+
+const TABLES = ["notes", "files", "questions", "reflections"];
+
+async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      createdBy TEXT NOT NULL,
+      inviteCode TEXT NOT NULL UNIQUE,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS group_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      groupId INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member',
+      joinedAt TEXT,
+      UNIQUE (groupId, username),
+      FOREIGN KEY (groupId) REFERENCES groups(id) ON DELETE CASCADE
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_group_members_username ON group_members(username)");
+
+  for (const table of TABLES) {
+    await addColumnIfMissing(table, "groupId", "INTEGER");
+    await run(`CREATE INDEX IF NOT EXISTS idx_${table}_groupId ON ${table}(groupId)`);
+  }
+}
+
+async function down({ run }) {
+  for (const table of TABLES) {
+    await run(`DROP INDEX IF EXISTS idx_${table}_groupId`);
+    await run(`ALTER TABLE ${table} DROP COLUMN groupId`);
+  }
+  await run("DROP TABLE IF EXISTS group_members");
+  await run("DROP TABLE IF EXISTS groups");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// 021 — notification center: which notification types each user has
+// turned off (everything is on unless a row says otherwise), and an index
+// for unread counts
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      username TEXT NOT NULL,
+      type TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      updatedAt TEXT,
+      PRIMARY KEY (username, type)
+    )
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(username, readAt)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_notifications_unread");
+  await run("DROP TABLE IF EXISTS notification_preferences");
+}
+
+module.exports = { up, down };
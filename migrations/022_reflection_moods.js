@@ -0,0 +1,56 @@
+// 022 — reflection moods on a fixed scale (see moods.js): reflections get
+// a moodScore (1-5), and existing free-text moods that map onto the scale
+// are rewritten to their category. Ones that don't are kept, unscored.
+//
+// The mapping is a copy of moods.js as it stood in this migration, so
+// later changes to the app's synonyms don't change what it does.
+
+const SCORES = { great: 5, good: 4, okay: 3, stressed: 2, overwhelmed: 1 };
+
+const SYNONYMS = {
+  great: ["excellent", "amazing", "awesome", "fantastic", "excited", "motivated", "confident", "😄", "😁", "🤩"],
+  good: ["happy", "glad", "content", "positive", "productive", "relaxed", "calm", "🙂", "😊"],
+  okay: ["ok", "fine", "neutral", "meh", "alright", "so so", "normal", "😐"],
+  stressed: ["stress", "tired", "worried", "anxious", "nervous", "confused", "frustrated", "pressured", "😟", "😣", "😕"],
+  overwhelmed: ["sad", "bad", "terrible", "awful", "exhausted", "burnt out", "burned out", "hopeless", "😢", "😭", "😫"],
+};
+
+const LOOKUP = new Map();
+for (const [mood, score] of Object.entries(SCORES)) {
+  LOOKUP.set(mood, mood);
+  LOOKUP.set(String(score), mood);
+  for (const word of SYNONYMS[mood]) LOOKUP.set(word, mood);
+}
+
+function categoryOf(value) {
+  const key = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[-_]+/g, " ")
+    .replace(/[.!?]+$/, "")
+    .replace(/\s+/g, " ");
+  return LOOKUP.get(key) || null;
+}
+
+async function up({ run, all, addColumnIfMissing }) {
+  await addColumnIfMissing("reflections", "moodScore", "INTEGER");
+
+  const rows = await all(
+    "SELECT id, mood FROM reflections WHERE mood IS NOT NULL AND mood <> '' AND moodScore IS NULL"
+  );
+  for (const row of rows) {
+    const mood = categoryOf(row.mood);
+    if (!mood) continue;
+    await run("UPDATE reflections SET mood = ?, moodScore = ? WHERE id = ?", [
+      mood,
+      SCORES[mood],
+      row.id,
+    ]);
+  }
+}
+
+async function down({ run }) {
+  await run("ALTER TABLE reflections DROP COLUMN moodScore");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// 023 — questions are indexed by their text only
+//
+// The suggested answer (see 005) is what free-text quiz answers are scored
+// against, so it must not be searchable. Existing entries are rebuilt.
+
+// Question triggers and entries (rowid = id * 8 + 2) with `body` as the
+// indexed text; `new.`-prefixed in the triggers
+function questionIndex(body) {
+  return `
+    DROP TRIGGER IF EXISTS search_questions_ai;
+    CREATE TRIGGER search_questions_ai AFTER INSERT ON questions BEGIN
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 2, ${body("new.")}, 'question', new.id, new.subject, new.createdBy, 0);
+    END;
+    DROP TRIGGER IF EXISTS search_questions_au;
+    CREATE TRIGGER search_questions_au AFTER UPDATE ON questions BEGIN
+      DELETE FROM search_index WHERE rowid = old.id * 8 + 2;
+      INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+      VALUES (new.id * 8 + 2, ${body("new.")}, 'question', new.id, new.subject, new.createdBy, 0);
+      UPDATE search_index SET subject = new.subject
+      WHERE rowid IN (SELECT id * 8 + 3 FROM answers WHERE questionId = new.id);
+    END;
+
+    DELETE FROM search_index WHERE rowid IN (SELECT id * 8 + 2 FROM questions);
+    INSERT INTO search_index (rowid, body, entityType, entityId, subject, owner, isPrivate)
+    SELECT id * 8 + 2, ${body("")}, 'question', id, subject, createdBy, 0 FROM questions;
+  `;
+}
+
+async function up({ exec }) {
+  await exec(questionIndex((row) => `${row}text`));
+}
+
+async function down({ exec }) {
+  await exec(questionIndex((row) => `${row}text || ' ' || COALESCE(${row}suggested, '')`));
+}
+
+module.exports = { up, down };
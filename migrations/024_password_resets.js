@@ -0,0 +1,21 @@
+// 024 — admin-issued password reset codes. Accounts created before auth
+// existed have no password; they are claimed with one of these codes
+// instead of by registering with the same username.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      username TEXT PRIMARY KEY,
+      codeHash TEXT NOT NULL,
+      createdBy TEXT,
+      createdAt TEXT,
+      expiresAt TEXT NOT NULL
+    )
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS password_resets");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// moods.js
+//
+// The mood scale for reflections. A mood is stored as one of five
+// categories with a score from 1 (worst) to 5:
+//
+//   great 5   good 4   okay 3   stressed 2   overwhelmed 1
+//
+// Free text is mapped onto the scale through common synonyms ("happy" →
+// good, "anxious" → stressed), and a bare score "1".."5" works too.
+// Anything else is rejected on write; older free-text moods that don't map
+// are kept as they were, without a score.
+
+const SCALE = [
+  { mood: "great", score: 5 },
+  { mood: "good", score: 4 },
+  { mood: "okay", score: 3 },
+  { mood: "stressed", score: 2 },
+  { mood: "overwhelmed", score: 1 },
+];
+
+const SYNONYMS = {
+  great: ["excellent", "amazing", "awesome", "fantastic", "excited", "motivated", "confident", "😄", "😁", "🤩"],
+  good: ["happy", "glad", "content", "positive", "productive", "relaxed", "calm", "🙂", "😊"],
+  okay: ["ok", "fine", "neutral", "meh", "alright", "so so", "normal", "😐"],
+  stressed: ["stress", "tired", "worried", "anxious", "nervous", "confused", "frustrated", "pressured", "😟", "😣", "😕"],
+  overwhelmed: ["sad", "bad", "terrible", "awful", "exhausted", "burnt out", "burned out", "hopeless", "😢", "😭", "😫"],
+};
+
+const LOOKUP = new Map();
+for (const { mood, score } of SCALE) {
+  LOOKUP.set(mood, mood);
+  LOOKUP.set(String(score), mood);
+  for (const word of SYNONYMS[mood]) LOOKUP.set(word, mood);
+}
+
+const SCORES = Object.fromEntries(SCALE.map((s) => [s.mood, s.score]));
+
+function key(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[-_]+/g, " ")
+    .replace(/[.!?]+$/, "")
+    .replace(/\s+/g, " ");
+}
+
+// { mood, score } for a value on or mappable to the scale; { mood: null,
+// score: null } for no mood at all; null when it can't be mapped.
+function normalize(value) {
+  if (value === undefined || value === null || String(value).trim() === "")
+    return { mood: null, score: null };
+
+  const mood = LOOKUP.get(key(value));
+  return mood ? { mood, score: SCORES[mood] } : null;
+}
+
+function describe() {
+  return `mood must be one of: ${SCALE.map((s) => s.mood).join(", ")} (or a score from 1 to 5)`;
+}
+
+module.exports = { SCALE, normalize, describe };
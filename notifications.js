@@ -0,0 +1,118 @@
+// notifications.js
+//
+// In-app notifications, one row per recipient. `data` holds the ids the
+// client needs to link to the source (JSON). New notifications are also
+// pushed to the recipient's open event streams (see realtime.js).
+//
+// Each type can be turned off per user (notification_preferences); a
+// type without a row there is on.
+const { run, get, all } = require("./db");
+const realtime = require("./realtime");
+
+// type → what it is about, for the preferences screen
+const TYPES = {
+  comment: "Someone comments on your note",
+  answer: "Someone answers your question",
+  grade: "Your answer is graded or regraded",
+  level_up: "You reach a new level",
+};
+
+async function preferences(username) {
+  const rows = await all(
+    "SELECT type, enabled FROM notification_preferences WHERE username = ?",
+    [username]
+  );
+  const prefs = Object.fromEntries(Object.keys(TYPES).map((type) => [type, true]));
+  for (const row of rows) if (row.type in prefs) prefs[row.type] = !!row.enabled;
+  return prefs;
+}
+
+// Validates { type: boolean, ... } from a request body. Returns the
+// changes or { error }.
+function parsePreferences(body) {
+  const changes = {};
+  for (const [type, enabled] of Object.entries(body || {})) {
+    if (!TYPES[type]) return { error: `Unknown notification type: ${type}` };
+    if (typeof enabled !== "boolean") return { error: `${type} must be true or false` };
+    changes[type] = enabled;
+  }
+  if (Object.keys(changes).length === 0) return { error: "Nothing to update" };
+  return { changes };
+}
+
+async function setPreferences(username, changes) {
+  const updatedAt = new Date().toISOString();
+  for (const [type, enabled] of Object.entries(changes)) {
+    await run(
+      `INSERT INTO notification_preferences (username, type, enabled, updatedAt) VALUES (?,?,?,?)
+       ON CONFLICT (username, type) DO UPDATE SET enabled = excluded.enabled, updatedAt = excluded.updatedAt`,
+      [username, type, enabled ? 1 : 0, updatedAt]
+    );
+  }
+  return preferences(username);
+}
+
+function format(row) {
+  return { ...row, data: row.data ? JSON.parse(row.data) : {}, read: !!row.readAt };
+}
+
+// Stores a notification unless `username` turned its type off. Returns
+// its id, or null when skipped.
+async function notify(username, type, message, data = {}) {
+  const pref = await get(
+    "SELECT enabled FROM notification_preferences WHERE username = ? AND type = ?",
+    [username, type]
+  );
+  if (pref && !pref.enabled) return null;
+
+  const { lastID } = await run(
+    "INSERT INTO notifications (username, type, message, data, createdAt) VALUES (?,?,?,?,?)",
+    [username, type, message, JSON.stringify(data), new Date().toISOString()]
+  );
+
+  const row = await get("SELECT * FROM notifications WHERE id = ?", [lastID]);
+  realtime.publish("notification.created", { data: format(row) }, { users: [username] });
+  return lastID;
+}
+
+async function unreadCount(username) {
+  const { n } = await get(
+    "SELECT COUNT(*) AS n FROM notifications WHERE username = ? AND readAt IS NULL",
+    [username]
+  );
+  return n;
+}
+
+// Marks one of `username`'s notifications read. Returns the row, or null
+// if it isn't theirs.
+async function markRead(username, id) {
+  const row = await get("SELECT * FROM notifications WHERE id = ? AND username = ?", [id, username]);
+  if (!row) return null;
+
+  if (!row.readAt) {
+    await run("UPDATE notifications SET readAt = ? WHERE id = ?", [new Date().toISOString(), row.id]);
+    return format(await get("SELECT * FROM notifications WHERE id = ?", [row.id]));
+  }
+  return format(row);
+}
+
+// Returns how many were unread
+async function markAllRead(username) {
+  const { changes } = await run(
+    "UPDATE notifications SET readAt = ? WHERE username = ? AND readAt IS NULL",
+    [new Date().toISOString(), username]
+  );
+  return changes;
+}
+
+module.exports = {
+  TYPES,
+  preferences,
+  parsePreferences,
+  setPreferences,
+  format,
+  notify,
+  unreadCount,
+  markRead,
+  markAllRead,
+};
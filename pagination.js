@@ -0,0 +1,109 @@
+// pagination.js
+//
+// Cursor (keyset) pagination shared by the list endpoints. Every list
+// responds with the same envelope:
+//
+//   { items: [...], nextCursor: "<opaque>" | null }
+//
+// Query parameters understood by every list:
+//   limit              page size (default 20, max 100)
+//   cursor             nextCursor from the previous page
+//   sort               one of the route's sort keys (default createdAt)
+//   order              asc | desc (default desc)
+//   author             exact match on the route's author column
+//   from, to           createdAt range; from inclusive, to exclusive (ISO dates)
+const { all } = require("./db");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (data && typeof data.s === "string" && Number.isInteger(data.id)) return data;
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+// Validates the common list parameters against a route spec:
+//   { sorts: { key: sqlExpr }, author: column, date: column }
+// Returns { limit, sort, order, cursor } or { error }.
+function parseListQuery(query, spec) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1)
+    return { error: "limit must be a positive integer" };
+
+  const sort = query.sort || "createdAt";
+  if (!spec.sorts[sort])
+    return { error: `sort must be one of: ${Object.keys(spec.sorts).join(", ")}` };
+
+  const order = (query.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc")
+    return { error: "order must be asc or desc" };
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sort) return { error: "Invalid cursor" };
+  }
+
+  return { limit: Math.min(limit, MAX_LIMIT), sort, order, cursor };
+}
+
+// Runs one page of `SELECT * FROM spec.table` with the route's own
+// conditions (`where` / `params`) plus the common filters.
+async function paginate(spec, query, where = [], params = []) {
+  const parsed = parseListQuery(query, spec);
+  if (parsed.error) return parsed;
+
+  const { limit, sort, order, cursor } = parsed;
+  const sortExpr = spec.sorts[sort];
+  const conditions = [...where];
+  const values = [...params];
+
+  if (query.author && spec.author) {
+    conditions.push(`${spec.author} = ?`);
+    values.push(query.author);
+  }
+  if (query.from && spec.date) {
+    conditions.push(`${spec.date} >= ?`);
+    values.push(query.from);
+  }
+  if (query.to && spec.date) {
+    conditions.push(`${spec.date} < ?`);
+    values.push(query.to);
+  }
+
+  // Resume strictly after the last row of the previous page; id breaks ties
+  if (cursor) {
+    const cmp = order === "desc" ? "<" : ">";
+    conditions.push(`(${sortExpr} ${cmp} ? OR (${sortExpr} = ? AND ${spec.table}.id ${cmp} ?))`);
+    values.push(cursor.v, cursor.v, cursor.id);
+  }
+
+  let sql = `SELECT ${spec.table}.*, ${sortExpr} AS _sortValue FROM ${spec.table}`;
+  if (conditions.length > 0) sql += ` WHERE ${conditions.join(" AND ")}`;
+  sql += ` ORDER BY ${sortExpr} ${order.toUpperCase()}, ${spec.table}.id ${order.toUpperCase()}`;
+  sql += " LIMIT ?";
+  values.push(limit + 1);
+
+  const rows = await all(sql, values);
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? encodeCursor(sort, last._sortValue, last.id) : null;
+
+  const items = page.map(({ _sortValue, ...row }) => row);
+  return { items, nextCursor };
+}
+
+const EMPTY_PAGE = Object.freeze({ items: [], nextCursor: null });
+
+module.exports = { paginate, parseListQuery, EMPTY_PAGE, DEFAULT_LIMIT, MAX_LIMIT };
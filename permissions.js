@@ -0,0 +1,41 @@
+// permissions.js
+
+// Ordered from least to most privileged
+const ROLES = ["student", "moderator", "admin"];
+const DEFAULT_ROLE = "student";
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// True if the user's role is at least `role`
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role || DEFAULT_ROLE) >= ROLES.indexOf(role);
+}
+
+// Owners can always manage their own content; moderators and admins can
+// manage anyone's.
+function canManage(user, owner) {
+  if (!user) return false;
+  return user.username === owner || hasRole(user, "moderator");
+}
+
+// Middleware: 403 unless req.user has at least `role`.
+// Must run after requireAuth.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role))
+      return res.status(403).json({ error: "Not allowed" });
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  hasRole,
+  canManage,
+  requireRole,
+};
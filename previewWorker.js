@@ -0,0 +1,128 @@
+// previewWorker.js
+//
+// Text extraction and thumbnails for one uploaded file, run in a worker
+// thread by previews.js. pdf.js parses on whatever thread calls it, so
+// keeping it here keeps a large PDF from stalling requests and event
+// streams. No database access: the job comes in as workerData
+// ({ fullPath, ext, thumbnailPath }) and { text, thumbnail } goes back.
+const fs = require("fs");
+const path = require("path");
+const { parentPort, workerData } = require("worker_threads");
+
+const THUMBNAIL_WIDTH = 320;
+const MAX_TEXT_CHARS = 1000000;
+const MAX_PDF_PAGES = 300;
+
+// ======================================================
+// PDF (pdfjs-dist is ESM-only, so it is imported lazily)
+// ======================================================
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    const canvas = require("@napi-rs/canvas");
+    // pdf.js expects these browser globals when rendering
+    for (const name of ["DOMMatrix", "ImageData", "Path2D"]) {
+      if (!globalThis[name]) globalThis[name] = canvas[name];
+    }
+    pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+  }
+  return pdfjsPromise;
+}
+
+class CanvasFactory {
+  create(width, height) {
+    const { createCanvas } = require("@napi-rs/canvas");
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+async function processPdf(fullPath, wantThumbnail) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(await fs.promises.readFile(fullPath)),
+    CanvasFactory,
+    isEvalSupported: false,
+    standardFontDataUrl: path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts/"),
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pages = [];
+    let length = 0;
+    for (let i = 1; i <= Math.min(doc.numPages, MAX_PDF_PAGES) && length < MAX_TEXT_CHARS; i++) {
+      const page = await doc.getPage(i);
+      const content = await page.getTextContent();
+      const text = content.items.map((item) => item.str + (item.hasEOL ? "\n" : "")).join("");
+      pages.push(text);
+      length += text.length;
+      page.cleanup();
+    }
+
+    let thumbnail = null;
+    if (wantThumbnail) {
+      const page = await doc.getPage(1);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: (THUMBNAIL_WIDTH * 2) / base.width });
+      const target = new CanvasFactory().create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvasContext: target.context, viewport }).promise;
+      thumbnail = target.canvas.toBuffer("image/png");
+    }
+
+    return { text: pages.join("\n\n"), thumbnail };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// ======================================================
+// EXTRACTION
+// ======================================================
+
+async function writeThumbnail(thumbnailPath, source) {
+  const sharp = require("sharp");
+  await fs.promises.mkdir(path.dirname(thumbnailPath), { recursive: true });
+  await sharp(source, { animated: false })
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .png()
+    .toFile(thumbnailPath);
+  return thumbnailPath;
+}
+
+// Images get a thumbnail only; previews.js sends only supported types
+async function extract({ fullPath, ext, thumbnailPath }) {
+  let text = null;
+  let thumbnail = null;
+
+  if (ext === "pdf") {
+    const pdf = await processPdf(fullPath, true);
+    text = pdf.text;
+    thumbnail = await writeThumbnail(thumbnailPath, pdf.thumbnail);
+  } else if (ext === "docx") {
+    const mammoth = require("mammoth");
+    ({ value: text } = await mammoth.extractRawText({ path: fullPath }));
+  } else if (ext === "txt") {
+    text = await fs.promises.readFile(fullPath, "utf8");
+  } else {
+    thumbnail = await writeThumbnail(thumbnailPath, fullPath);
+  }
+
+  if (text !== null) text = text.replace(/\u0000/g, "").slice(0, MAX_TEXT_CHARS);
+  return { text, thumbnail };
+}
+
+extract(workerData).then(
+  (result) => parentPort.postMessage({ result }),
+  (e) => parentPort.postMessage({ error: e.message })
+);
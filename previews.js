@@ -0,0 +1,143 @@
+// previews.js
+//
+// Background processing for uploaded files: plain-text extraction (PDF,
+// DOCX, TXT) and first-page / image thumbnails (PDF, images). Results live
+// in file_content (migration 010); the extracted text is folded into the
+// file's search entry by triggers.
+//
+// Files are processed one at a time. The extraction itself runs in a
+// worker thread (previewWorker.js), so parsing a large PDF doesn't block
+// request handling; a job that runs too long is stopped and marked failed.
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { run, get, all } = require("./db");
+const { UPLOAD_DIR, extensionOf } = require("./uploads");
+
+const PREVIEW_DIR = path.join(UPLOAD_DIR, "previews");
+const WORKER_PATH = path.join(__dirname, "previewWorker.js");
+const EXTRACT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const TEXT_TYPES = ["pdf", "docx", "txt"];
+const THUMBNAIL_TYPES = ["pdf", "png", "jpg", "jpeg", "gif", "webp"];
+
+function supports(ext) {
+  return TEXT_TYPES.includes(ext) || THUMBNAIL_TYPES.includes(ext);
+}
+
+function thumbnailPathFor(fileId) {
+  return path.join(PREVIEW_DIR, `${fileId}.png`);
+}
+
+// ======================================================
+// PROCESSING
+// ======================================================
+
+// Runs previewWorker.js on one file. Resolves to { text, thumbnail }.
+function extract(file, ext) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        fullPath: path.join(__dirname, file.filePath),
+        ext,
+        thumbnailPath: thumbnailPathFor(file.id),
+      },
+    });
+
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+    const timer = setTimeout(() => {
+      settle(reject, new Error("Extraction timed out"));
+      worker.terminate();
+    }, EXTRACT_TIMEOUT_MS);
+
+    worker.once("message", ({ result, error }) => {
+      if (error) settle(reject, new Error(error));
+      else settle(resolve, result);
+      worker.terminate();
+    });
+    worker.once("error", (e) => settle(reject, e));
+    worker.once("exit", (code) => settle(reject, new Error(`Extraction stopped (exit code ${code})`)));
+  });
+}
+
+async function processFile(fileId) {
+  const file = await get("SELECT * FROM files WHERE id = ?", [fileId]);
+  if (!file) return;
+
+  const ext = extensionOf(file.originalName || file.filePath);
+  if (!supports(ext)) {
+    await setStatus(fileId, "unsupported");
+    return;
+  }
+
+  await setStatus(fileId, "processing");
+  try {
+    const { text, thumbnail } = await extract(file, ext);
+    await run(
+      `UPDATE file_content SET status = 'done', text = ?, thumbnailPath = ?, error = NULL,
+       processedAt = ? WHERE fileId = ?`,
+      [text, thumbnail ? path.relative(__dirname, thumbnail) : null, new Date().toISOString(), fileId]
+    );
+  } catch (e) {
+    await run(
+      "UPDATE file_content SET status = 'failed', error = ?, processedAt = ? WHERE fileId = ?",
+      [e.message, new Date().toISOString(), fileId]
+    );
+  }
+}
+
+function setStatus(fileId, status) {
+  return run(
+    `INSERT INTO file_content (fileId, status) VALUES (?, ?)
+     ON CONFLICT(fileId) DO UPDATE SET status = excluded.status`,
+    [fileId, status]
+  );
+}
+
+// ======================================================
+// QUEUE
+// ======================================================
+const queue = [];
+let running = false;
+
+async function drain() {
+  if (running) return;
+  running = true;
+  while (queue.length > 0) {
+    const fileId = queue.shift();
+    try {
+      await processFile(fileId);
+    } catch (e) {
+      console.error(`Preview for file ${fileId} failed: ${e.message}`);
+    }
+  }
+  running = false;
+}
+
+async function enqueue(fileId) {
+  await setStatus(fileId, "pending");
+  queue.push(fileId);
+  setImmediate(drain);
+}
+
+// Picks up files uploaded before this feature, or interrupted by a restart
+async function resumePending() {
+  const rows = await all(
+    `SELECT f.id FROM files f LEFT JOIN file_content c ON c.fileId = f.id
+     WHERE c.fileId IS NULL OR c.status IN ('pending', 'processing')
+     ORDER BY f.id`
+  );
+  for (const row of rows) await enqueue(row.id);
+}
+
+function removeThumbnail(fileId) {
+  fs.unlink(thumbnailPathFor(fileId), () => {});
+}
+
+module.exports = { enqueue, resumePending, removeThumbnail, thumbnailPathFor };
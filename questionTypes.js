@@ -0,0 +1,184 @@
+// questionTypes.js
+//
+// Structured question types. Objective types carry an answer key and are
+// graded automatically; free text ("text") is graded by hand.
+//
+//   type        body when creating                     answer key stored
+//   single      choices: [...], correct: "b"           "b"
+//   multiple    choices: [...], correct: ["a", "c"]    ["a", "c"]
+//   true_false  correct: true                          true
+//   numeric     correct: 9.81, tolerance: 0.05         { value, tolerance }
+//   text        suggested: "..." (optional)            null
+//
+// Choices may be given as strings (keyed a, b, c, ...) or as
+// { key, text } objects, and are stored as [{ key, text }].
+
+const TYPES = ["text", "single", "multiple", "true_false", "numeric"];
+const MAX_CHOICES = 10;
+const MAX_CHOICE_LENGTH = 500;
+// Absorbs floating-point noise on top of the author's tolerance
+const EPSILON = 1e-9;
+
+function isObjective(type) {
+  return type !== "text";
+}
+
+function parseJSON(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function parseChoices(choices) {
+  if (!Array.isArray(choices) || choices.length < 2 || choices.length > MAX_CHOICES)
+    return { error: `choices must be a list of 2 to ${MAX_CHOICES} options` };
+
+  const parsed = choices.map((c, i) =>
+    typeof c === "string"
+      ? { key: String.fromCharCode(97 + i), text: c.trim() }
+      : { key: c && String(c.key || "").trim(), text: c && String(c.text || "").trim() }
+  );
+
+  if (parsed.some((c) => !c.key || !c.text || c.text.length > MAX_CHOICE_LENGTH))
+    return { error: `Each choice needs a key and text of at most ${MAX_CHOICE_LENGTH} characters` };
+  if (new Set(parsed.map((c) => c.key)).size !== parsed.length)
+    return { error: "Choice keys must be unique" };
+
+  return { choices: parsed };
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && value.trim() !== "") {
+    const n = Number(value.trim());
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+}
+
+// Validates the type-specific part of a new question. Returns
+// { type, choices, answerKey } (choices/answerKey as stored, JSON or null)
+// or { error }.
+function parseDefinition(body) {
+  const type = body.type || "text";
+  if (!TYPES.includes(type)) return { error: `type must be one of: ${TYPES.join(", ")}` };
+
+  if (type === "text") return { type, choices: null, answerKey: null };
+
+  if (type === "true_false") {
+    const correct = toBoolean(body.correct);
+    if (correct === null) return { error: "correct must be true or false" };
+    return { type, choices: null, answerKey: JSON.stringify(correct) };
+  }
+
+  if (type === "numeric") {
+    const value = toNumber(body.correct);
+    const tolerance = body.tolerance === undefined ? 0 : toNumber(body.tolerance);
+    if (value === null) return { error: "correct must be a number" };
+    if (tolerance === null || tolerance < 0)
+      return { error: "tolerance must be a non-negative number" };
+    return { type, choices: null, answerKey: JSON.stringify({ value, tolerance }) };
+  }
+
+  const { choices, error } = parseChoices(body.choices);
+  if (error) return { error };
+  const keys = choices.map((c) => c.key);
+
+  if (type === "single") {
+    if (!keys.includes(body.correct))
+      return { error: "correct must be the key of one of the choices" };
+    return { type, choices: JSON.stringify(choices), answerKey: JSON.stringify(body.correct) };
+  }
+
+  // multiple
+  const correct = Array.isArray(body.correct) ? [...new Set(body.correct)] : [];
+  if (correct.length === 0 || !correct.every((k) => keys.includes(k)))
+    return { error: "correct must list one or more choice keys" };
+  return {
+    type,
+    choices: JSON.stringify(choices),
+    answerKey: JSON.stringify(keys.filter((k) => correct.includes(k))),
+  };
+}
+
+// Reads an answer to `question` (a row with type/choices). `value` is the
+// structured answer (a key, list of keys, boolean or number) or free text.
+// Returns { answerText, value } with answerText as stored in answers, or
+// { error }.
+function parseResponse(question, value) {
+  const type = question.type || "text";
+
+  if (type === "text") {
+    if (typeof value !== "string" || value.trim() === "") return { error: "Answer is required" };
+    return { answerText: value, value };
+  }
+
+  if (type === "true_false") {
+    const b = toBoolean(value);
+    if (b === null) return { error: "Answer must be true or false" };
+    return { answerText: String(b), value: b };
+  }
+
+  if (type === "numeric") {
+    const n = toNumber(value);
+    if (n === null) return { error: "Answer must be a number" };
+    return { answerText: String(n), value: n };
+  }
+
+  const keys = parseJSON(question.choices, []).map((c) => c.key);
+
+  if (type === "single") {
+    if (!keys.includes(value)) return { error: "Answer must be the key of one of the choices" };
+    return { answerText: value, value };
+  }
+
+  // multiple: a list of keys, or "a,c" as text
+  const picked = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",").map((k) => k.trim()).filter(Boolean)
+      : [];
+  if (picked.length === 0 || !picked.every((k) => keys.includes(k)))
+    return { error: "Answer must list one or more choice keys" };
+
+  const ordered = keys.filter((k) => picked.includes(k));
+  return { answerText: ordered.join(","), value: ordered };
+}
+
+// Whether a parsed answer `value` is correct; null for free text, which
+// needs a person.
+function grade(question, value) {
+  const type = question.type || "text";
+  if (!isObjective(type)) return null;
+
+  const key = parseJSON(question.answerKey, null);
+  if (key === null) return null;
+
+  if (type === "numeric") return Math.abs(value - key.value) <= key.tolerance + EPSILON;
+  if (type === "multiple")
+    return value.length === key.length && value.every((k) => key.includes(k));
+  return value === key;
+}
+
+// API shape of the type-specific fields. The answer key is only included
+// when `withKey` (the question's author or a moderator).
+function describe(question, withKey) {
+  const type = question.type || "text";
+  return {
+    type,
+    choices: parseJSON(question.choices, null),
+    ...(withKey && isObjective(type) && { answerKey: parseJSON(question.answerKey, null) }),
+  };
+}
+
+module.exports = { TYPES, isObjective, parseDefinition, parseResponse, grade, describe };
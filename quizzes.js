@@ -0,0 +1,289 @@
+// quizzes.js
+//
+// Practice quizzes: N random questions (objective ones, or free text with a
+// suggested answer) from one or more subjects, optionally timed, scored
+// automatically on submission. Objective types use their answer key (see
+// questionTypes.js); free-text answers are compared to the suggested answer
+// after normalization, with a fuzzy match so small typos and extra articles
+// don't cost the point.
+const { run, get, all } = require("./db");
+const questionTypes = require("./questionTypes");
+const review = require("./review");
+const { groupVisibleSql } = require("./visibility");
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 50;
+const MAX_TIME_LIMIT_SECONDS = 3 * 60 * 60;
+// Allowance for network delay before a timed quiz counts as late
+const LATE_GRACE_MS = 5000;
+
+const MATCH_THRESHOLD = 0.8;
+// Expected answers up to this many words are compared character by
+// character; longer ones by shared words
+const SHORT_ANSWER_WORDS = 6;
+const STOP_WORDS = new Set(["a", "an", "the"]);
+const MAX_RESPONSE_CHARS = 2000;
+
+// ======================================================
+// SCORING
+// ======================================================
+
+function tokens(text) {
+  const plain = String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  return (plain.match(/\p{N}+(?:\.\p{N}+)?|\p{L}+/gu) || []).filter((t) => !STOP_WORDS.has(t));
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1 similarity of a response to the expected answer
+function similarity(expected, response) {
+  const e = tokens(expected);
+  const r = tokens(response);
+  if (e.length === 0 || r.length === 0) return 0;
+
+  const a = e.join(" ");
+  const b = r.join(" ");
+  if (a === b) return 1;
+
+  // Numbers must match exactly ("1896" vs "1898" is wrong, not a typo)
+  if (e.length === 1 && r.length === 1 && !isNaN(a) && !isNaN(b))
+    return Number(a) === Number(b) ? 1 : 0;
+
+  if (e.length <= SHORT_ANSWER_WORDS)
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const setE = new Set(e);
+  const setR = new Set(r);
+  let shared = 0;
+  for (const t of setE) if (setR.has(t)) shared++;
+  return shared / Math.max(setE.size, setR.size);
+}
+
+function scoreAnswer(expected, response) {
+  const value = Math.round(similarity(expected, response) * 100) / 100;
+  return { correct: value >= MATCH_THRESHOLD, similarity: value };
+}
+
+// ======================================================
+// QUIZZES
+// ======================================================
+
+// Validates { subjects | subject, count, timeLimitSeconds } from a request
+// body against the names of the current subjects (`lessons`). Returns the
+// options or { error }.
+function parseOptions(body, lessons) {
+  const subjects = [].concat(body.subjects || body.subject || []);
+  if (subjects.length === 0) return { error: "subjects is required" };
+
+  const unknown = subjects.filter((s) => !lessons.includes(s));
+  if (unknown.length > 0) return { error: `Unknown subject: ${unknown.join(", ")}` };
+
+  const count = body.count === undefined ? DEFAULT_COUNT : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)
+    return { error: `count must be an integer from 1 to ${MAX_COUNT}` };
+
+  let timeLimitSeconds = null;
+  if (body.timeLimitSeconds !== undefined && body.timeLimitSeconds !== null) {
+    timeLimitSeconds = Number(body.timeLimitSeconds);
+    if (
+      !Number.isInteger(timeLimitSeconds) ||
+      timeLimitSeconds < 1 ||
+      timeLimitSeconds > MAX_TIME_LIMIT_SECONDS
+    )
+      return { error: `timeLimitSeconds must be an integer from 1 to ${MAX_TIME_LIMIT_SECONDS}` };
+  }
+
+  return { subjects: [...new Set(subjects)], count, timeLimitSeconds };
+}
+
+// Draws the questions (from those `username` can see) and stores the quiz.
+// Returns its id, or null when no question in those subjects can be scored
+// automatically.
+async function create(username, { subjects, count, timeLimitSeconds }) {
+  const visible = groupVisibleSql(username);
+  const questions = await all(
+    `SELECT id, subject, text, suggested, type, choices, answerKey FROM questions
+     WHERE subject IN (${subjects.map(() => "?").join(",")})
+       AND (type != 'text' OR TRIM(COALESCE(suggested, '')) != '')
+       AND ${visible.sql}
+     ORDER BY RANDOM() LIMIT ?`,
+    [...subjects, ...visible.params, count]
+  );
+  if (questions.length === 0) return null;
+
+  const now = new Date();
+  const expiresAt = timeLimitSeconds
+    ? new Date(now.getTime() + timeLimitSeconds * 1000).toISOString()
+    : null;
+
+  const { lastID } = await run(
+    `INSERT INTO quizzes (username, subjects, timeLimitSeconds, createdAt, expiresAt, total)
+     VALUES (?,?,?,?,?,?)`,
+    [username, JSON.stringify(subjects), timeLimitSeconds, now.toISOString(), expiresAt, questions.length]
+  );
+
+  for (const [i, q] of questions.entries()) {
+    await run(
+      `INSERT INTO quiz_items
+       (quizId, position, questionId, subject, text, expected, type, choices, answerKey)
+       VALUES (?,?,?,?,?,?,?,?,?)`,
+      [lastID, i + 1, q.id, q.subject, q.text, q.suggested, q.type, q.choices, q.answerKey]
+    );
+  }
+  return lastID;
+}
+
+// API shape of a quiz row, without its questions
+function summarize(quiz) {
+  return {
+    id: quiz.id,
+    username: quiz.username,
+    subjects: JSON.parse(quiz.subjects),
+    timeLimitSeconds: quiz.timeLimitSeconds,
+    createdAt: quiz.createdAt,
+    expiresAt: quiz.expiresAt,
+    submittedAt: quiz.submittedAt,
+    score: quiz.score,
+    total: quiz.total,
+    late: !!quiz.late,
+  };
+}
+
+// summarize() plus the questions. Expected answers and results only appear
+// once the quiz has been submitted.
+async function view(quiz) {
+  const items = await all(
+    "SELECT * FROM quiz_items WHERE quizId = ? ORDER BY position",
+    [quiz.id]
+  );
+  const submitted = !!quiz.submittedAt;
+
+  return {
+    ...summarize(quiz),
+    questions: items.map((item) => ({
+      position: item.position,
+      questionId: item.questionId,
+      subject: item.subject,
+      text: item.text,
+      ...questionTypes.describe(item, submitted),
+      ...(submitted && {
+        response: item.response,
+        expected: item.expected,
+        correct: !!item.isCorrect,
+        similarity: item.similarity,
+      }),
+    })),
+  };
+}
+
+// Scores one quiz item. Returns the response as stored plus the result.
+function scoreItem(item, response) {
+  if (response === undefined || response === null)
+    return { text: null, correct: false, similarity: 0 };
+
+  if (questionTypes.isObjective(item.type)) {
+    const parsed = questionTypes.parseResponse(item, response);
+    if (parsed.error) return { text: null, correct: false, similarity: 0 };
+
+    const correct = questionTypes.grade(item, parsed.value) === true;
+    return { text: parsed.answerText, correct, similarity: correct ? 1 : 0 };
+  }
+
+  if (typeof response !== "string" && typeof response !== "number")
+    return { text: null, correct: false, similarity: 0 };
+
+  const text = String(response).slice(0, MAX_RESPONSE_CHARS);
+  return { text, ...scoreAnswer(item.expected, text) };
+}
+
+// Scores `responses` ({ questionId: answer } or [{ questionId, answer }])
+// and closes the quiz. Returns the updated row, or null if it was already
+// submitted.
+async function submit(quiz, responses, now = new Date()) {
+  const answers = new Map(
+    Array.isArray(responses)
+      ? responses.map((r) => [String(r.questionId), r.answer])
+      : Object.entries(responses || {})
+  );
+
+  const late =
+    !!quiz.expiresAt && now.getTime() > Date.parse(quiz.expiresAt) + LATE_GRACE_MS;
+
+  // Claim the submission first so concurrent submits can't both score
+  const claimed = await run(
+    "UPDATE quizzes SET submittedAt = ?, late = ? WHERE id = ? AND submittedAt IS NULL",
+    [now.toISOString(), late ? 1 : 0, quiz.id]
+  );
+  if (claimed.changes === 0) return null;
+
+  const items = await all("SELECT * FROM quiz_items WHERE quizId = ?", [quiz.id]);
+  let score = 0;
+  for (const item of items) {
+    const { text, correct, similarity } = scoreItem(item, answers.get(String(item.questionId)));
+    if (correct) score++;
+
+    await run(
+      "UPDATE quiz_items SET response = ?, isCorrect = ?, similarity = ? WHERE id = ?",
+      [text, correct ? 1 : 0, similarity, item.id]
+    );
+    if (item.questionId)
+      await review.recordGrade(quiz.username, item.questionId, correct ? 1 : 0, "quiz");
+  }
+
+  await run("UPDATE quizzes SET score = ? WHERE id = ?", [score, quiz.id]);
+  return get("SELECT * FROM quizzes WHERE id = ?", [quiz.id]);
+}
+
+// Per-subject totals over `username`'s submitted quizzes
+// True if `username` has submitted a quiz with this question in it, which
+// showed them its answer key
+async function keySeen(username, questionId) {
+  return !!(await get(
+    `SELECT 1 FROM quiz_items i JOIN quizzes z ON z.id = i.quizId
+     WHERE z.username = ? AND z.submittedAt IS NOT NULL AND i.questionId = ? LIMIT 1`,
+    [username, questionId]
+  ));
+}
+
+async function subjectStats(username) {
+  const rows = await all(
+    `SELECT i.subject, COUNT(DISTINCT q.id) AS quizzes, COUNT(*) AS answered,
+            COALESCE(SUM(i.isCorrect), 0) AS correct
+     FROM quiz_items i JOIN quizzes q ON q.id = i.quizId
+     WHERE q.username = ? AND q.submittedAt IS NOT NULL
+     GROUP BY i.subject ORDER BY i.subject`,
+    [username]
+  );
+  return rows.map((r) => ({
+    ...r,
+    accuracy: r.answered > 0 ? Math.round((r.correct / r.answered) * 1000) / 1000 : 0,
+  }));
+}
+
+module.exports = {
+  parseOptions,
+  create,
+  summarize,
+  view,
+  submit,
+  keySeen,
+  subjectStats,
+  scoreAnswer,
+};
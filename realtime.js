@@ -0,0 +1,141 @@
+// realtime.js
+//
+// Server-Sent Events. Signed-in clients keep GET /events open and receive:
+//
+//   note.created     note.deleted       comment.created   comment.deleted
+//   file.created     file.deleted       answer.created    answer.deleted
+//   grade.created    xp.levelup         notification.created
+//
+// Every event says which subject and/or question it is about. A stream
+// opened with ?subject= and/or ?questionId= only gets events about those
+// (events about neither, like level-ups, always come through).
+//
+// An event only reaches its audience: { users } limits it to those
+// usernames (private notes, level-ups), { groupId } to a study group's
+// members, both to users in both; {} is everyone signed in.
+const { all } = require("./db");
+
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+const MAX_STREAMS_PER_USER = 5;
+const MAX_FILTERS = 50;
+
+const clients = new Set();
+let nextId = 1;
+let heartbeat = null;
+
+// "a,b" or repeated query parameters → list of values
+function parseList(value) {
+  return []
+    .concat(value || [])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .slice(0, MAX_FILTERS);
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  // Comments keep proxies from closing idle streams
+  heartbeat = setInterval(() => {
+    for (const client of clients) client.res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+function stopHeartbeat() {
+  if (clients.size > 0 || !heartbeat) return;
+  clearInterval(heartbeat);
+  heartbeat = null;
+}
+
+// Opens an event stream on `res` for the session { username, sessionId },
+// with the filters from `query` ({ subject, questionId }). Returns false,
+// without writing anything, if the user already has too many streams open.
+function subscribe({ username, sessionId }, query, req, res) {
+  const open = [...clients].filter((c) => c.username === username).length;
+  if (open >= MAX_STREAMS_PER_USER) return false;
+
+  const client = {
+    username,
+    sessionId,
+    subjects: new Set(parseList(query.subject)),
+    questionIds: new Set(parseList(query.questionId)),
+    res,
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  clients.add(client);
+  startHeartbeat();
+  req.on("close", () => {
+    clients.delete(client);
+    stopHeartbeat();
+  });
+  return true;
+}
+
+// Ends the streams of a session that was logged out
+function closeSession(sessionId) {
+  for (const client of clients) {
+    if (client.sessionId !== sessionId) continue;
+    clients.delete(client);
+    client.res.end();
+  }
+  stopHeartbeat();
+}
+
+function wants(client, subject, questionId) {
+  if (!subject && !questionId) return true;
+  if (client.subjects.size === 0 && client.questionIds.size === 0) return true;
+  return (
+    (!!subject && client.subjects.has(subject)) ||
+    (!!questionId && client.questionIds.has(String(questionId)))
+  );
+}
+
+// Sends an event to every matching stream in its audience. Never throws:
+// a failed push must not fail the request that caused it.
+async function publish(type, { subject = null, questionId = null, data = {} }, audience = {}) {
+  if (clients.size === 0) return;
+
+  try {
+    let members = null;
+    if (audience.groupId) {
+      const rows = await all("SELECT username FROM group_members WHERE groupId = ?", [audience.groupId]);
+      members = new Set(rows.map((r) => r.username));
+    }
+
+    const frame =
+      `id: ${nextId++}\nevent: ${type}\n` +
+      `data: ${JSON.stringify({ type, subject, questionId, data })}\n\n`;
+
+    for (const client of clients) {
+      if (audience.users && !audience.users.includes(client.username)) continue;
+      if (members && !members.has(client.username)) continue;
+      if (!wants(client, subject, questionId)) continue;
+      client.res.write(frame);
+    }
+  } catch (e) {
+    console.error(`Publishing ${type} failed: ${e.message}`);
+  }
+}
+
+// Who may see a note (see visibility.js). Computed before a delete, while
+// its shares still exist.
+async function noteAudience(note) {
+  const audience = { groupId: note.groupId || null };
+  if (note.isPublic !== 1) {
+    const shares = await all("SELECT username FROM note_shares WHERE noteId = ?", [note.id]);
+    audience.users = [note.author, ...shares.map((s) => s.username)];
+  }
+  return audience;
+}
+
+module.exports = { subscribe, closeSession, publish, noteAudience };
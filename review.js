@@ -0,0 +1,138 @@
+// review.js
+//
+// Spaced-repetition schedule per user and question, using SM-2. Each
+// result is a recall quality from 0 (blackout) to 5 (perfect):
+//
+//   - self-rated reviews (POST /review/:questionId)
+//   - grades, manual or automatic, scaled by score from GRADED_WRONG (0) to
+//     GRADED_CORRECT (full marks); only an answer's first grade counts, so a
+//     regrade doesn't reschedule the card again
+//   - quiz answers, rated the same way as grades
+//
+// Due dates are local days (see timezone.js); a card is due once its
+// dueDate is today or earlier.
+const { run, get, all } = require("./db");
+const timezone = require("./timezone");
+const questionTypes = require("./questionTypes");
+const { groupVisibleSql } = require("./visibility");
+
+const MIN_EASINESS = 1.3;
+const INITIAL_EASINESS = 2.5;
+const GRADED_CORRECT = 4;
+const GRADED_WRONG = 1;
+
+const MAX_DUE = 200;
+
+// SM-2: next { easiness, repetitions, intervalDays, lapses } after a
+// review of `quality`
+function schedule(card, quality) {
+  let { easiness, repetitions, intervalDays, lapses } = card;
+
+  if (quality >= 3) {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * easiness);
+    repetitions += 1;
+  } else {
+    // Forgotten: start over, and see it again tomorrow
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  }
+
+  easiness += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+  easiness = Math.max(MIN_EASINESS, Math.round(easiness * 1000) / 1000);
+
+  return { easiness, repetitions, intervalDays, lapses };
+}
+
+function isQuality(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 5;
+}
+
+// Records one review and reschedules the card (created on first review).
+// Returns the card, or null if the question no longer exists.
+async function record(username, questionId, quality, source, now = new Date()) {
+  const question = await get("SELECT id FROM questions WHERE id = ?", [questionId]);
+  if (!question) return null;
+
+  const card = (await get(
+    "SELECT * FROM review_cards WHERE username = ? AND questionId = ?",
+    [username, question.id]
+  )) || { easiness: INITIAL_EASINESS, repetitions: 0, intervalDays: 0, lapses: 0 };
+
+  const next = schedule(card, quality);
+  const dueDate = timezone.addDays(timezone.dayOf(now), next.intervalDays);
+  const reviewedAt = now.toISOString();
+
+  await run(
+    `INSERT INTO review_cards
+     (username, questionId, easiness, repetitions, intervalDays, lapses, dueDate, lastQuality, lastReviewedAt)
+     VALUES (?,?,?,?,?,?,?,?,?)
+     ON CONFLICT (username, questionId) DO UPDATE SET
+       easiness = excluded.easiness, repetitions = excluded.repetitions,
+       intervalDays = excluded.intervalDays, lapses = excluded.lapses,
+       dueDate = excluded.dueDate, lastQuality = excluded.lastQuality,
+       lastReviewedAt = excluded.lastReviewedAt`,
+    [username, question.id, next.easiness, next.repetitions, next.intervalDays, next.lapses,
+      dueDate, quality, reviewedAt]
+  );
+  await run(
+    "INSERT INTO review_log (username, questionId, quality, source, reviewedAt) VALUES (?,?,?,?,?)",
+    [username, question.id, quality, source, reviewedAt]
+  );
+
+  return { questionId: question.id, ...next, dueDate, lastQuality: quality, lastReviewedAt: reviewedAt };
+}
+
+// A graded answer (manual, automatic or in a quiz) as a review. `score`
+// runs from 0 to 1; partial credit lands in between.
+function recordGrade(username, questionId, score, source) {
+  const quality = Math.round(GRADED_WRONG + score * (GRADED_CORRECT - GRADED_WRONG));
+  return record(username, questionId, quality, source);
+}
+
+// Cards due today or earlier, most overdue first, grouped by subject.
+// Cards on questions of study groups the user has left are skipped.
+async function due(username, { subject } = {}) {
+  const today = timezone.dayOf();
+  const visible = groupVisibleSql(username, "q.groupId");
+  const params = [username, today, ...visible.params];
+  let sql = `SELECT c.*, q.subject, q.text, q.type, q.choices FROM review_cards c
+             JOIN questions q ON q.id = c.questionId
+             WHERE c.username = ? AND c.dueDate <= ? AND ${visible.sql}`;
+  if (subject) {
+    sql += " AND q.subject = ?";
+    params.push(subject);
+  }
+  sql += " ORDER BY c.dueDate, c.easiness, c.id LIMIT ?";
+  params.push(MAX_DUE);
+
+  const rows = await all(sql, params);
+
+  const subjects = new Map();
+  for (const row of rows) {
+    if (!subjects.has(row.subject)) subjects.set(row.subject, []);
+    subjects.get(row.subject).push({
+      questionId: row.questionId,
+      text: row.text,
+      ...questionTypes.describe(row, false),
+      dueDate: row.dueDate,
+      intervalDays: row.intervalDays,
+      repetitions: row.repetitions,
+      easiness: row.easiness,
+      lapses: row.lapses,
+      lastQuality: row.lastQuality,
+      lastReviewedAt: row.lastReviewedAt,
+    });
+  }
+
+  return {
+    username,
+    today,
+    total: rows.length,
+    subjects: [...subjects].map(([name, questions]) => ({ subject: name, questions })),
+  };
+}
+
+module.exports = { schedule, isQuality, record, recordGrade, due };
@@ -0,0 +1,174 @@
+// revisions.js
+//
+// Edit history for notes, comments, questions and answers. Every edit
+// stores the fields as they were *before* the edit, so the latest state is
+// always the live row and revision N is what the item looked like before
+// edit N.
+//
+// `hidden` fields are left out of the history shown to anyone but the
+// owner and moderators (a question's suggested answer is a quiz answer key).
+const { run, get, all } = require("./db");
+
+const TYPES = {
+  note: { table: "notes", owner: "author", fields: ["subject", "content", "isPublic"] },
+  comment: { table: "comments", owner: "author", fields: ["content"] },
+  question: {
+    table: "questions",
+    owner: "createdBy",
+    fields: ["subject", "text", "suggested"],
+    hidden: ["suggested"],
+  },
+  answer: { table: "answers", owner: "answeredBy", fields: ["answerText"] },
+};
+
+function withoutHidden(type, data) {
+  const result = { ...data };
+  for (const field of TYPES[type].hidden || []) delete result[field];
+  return result;
+}
+
+function snapshot(type, row) {
+  const data = {};
+  for (const field of TYPES[type].fields) data[field] = row[field];
+  return data;
+}
+
+// Applies `changes` to the row, saving the previous values as a revision.
+// Returns the updated row, or the unchanged row if nothing differs.
+async function applyEdit(type, row, changes, editedBy) {
+  const { table } = TYPES[type];
+  const fields = Object.keys(changes).filter((f) => changes[f] !== row[f]);
+  if (fields.length === 0) return row;
+
+  const now = new Date().toISOString();
+  const { next } = await get(
+    "SELECT COALESCE(MAX(version), 0) + 1 AS next FROM revisions WHERE entityType = ? AND entityId = ?",
+    [type, row.id]
+  );
+
+  await run(
+    "INSERT INTO revisions (entityType, entityId, version, data, editedBy, createdAt) VALUES (?,?,?,?,?,?)",
+    [type, row.id, next, JSON.stringify(snapshot(type, row)), editedBy, now]
+  );
+
+  await run(
+    `UPDATE ${table} SET ${fields.map((f) => `${f} = ?`).join(", ")}, updatedAt = ? WHERE id = ?`,
+    [...fields.map((f) => changes[f]), now, row.id]
+  );
+
+  return get(`SELECT * FROM ${table} WHERE id = ?`, [row.id]);
+}
+
+// History oldest → newest, each revision diffed against the state that
+// replaced it. `showHidden` keeps the type's hidden fields in.
+async function history(type, row, showHidden = false) {
+  const rows = await all(
+    "SELECT * FROM revisions WHERE entityType = ? AND entityId = ? ORDER BY version ASC",
+    [type, row.id]
+  );
+  const visible = (data) => (showHidden ? data : withoutHidden(type, data));
+  const current = visible(snapshot(type, row));
+
+  const revisions = rows.map((r, i) => {
+    const data = visible(JSON.parse(r.data));
+    const after = i + 1 < rows.length ? visible(JSON.parse(rows[i + 1].data)) : current;
+    return {
+      version: r.version,
+      editedBy: r.editedBy,
+      editedAt: r.createdAt,
+      data,
+      diff: diffSnapshots(data, after),
+    };
+  });
+
+  return { current, revisions };
+}
+
+async function findRevision(type, entityId, version) {
+  const row = await get(
+    "SELECT * FROM revisions WHERE entityType = ? AND entityId = ? AND version = ?",
+    [type, entityId, version]
+  );
+  return row ? JSON.parse(row.data) : null;
+}
+
+async function removeFor(type, ids) {
+  if (ids.length === 0) return;
+  await run(
+    `DELETE FROM revisions WHERE entityType = ? AND entityId IN (${ids.map(() => "?").join(",")})`,
+    [type, ...ids]
+  );
+}
+
+// ======================================================
+// DIFF
+// ======================================================
+
+// Above this many LCS cells (changed lines before × after) a field is shown
+// as a whole { from, to } change instead of a line diff
+const MAX_DIFF_CELLS = 1000000;
+
+function diffSnapshots(before, after) {
+  const diff = {};
+  for (const field of Object.keys(before)) {
+    if (before[field] === after[field]) continue;
+    const lines =
+      typeof before[field] === "string" && typeof after[field] === "string"
+        ? diffLines(before[field], after[field])
+        : null;
+    diff[field] = lines || { from: before[field], to: after[field] };
+  }
+  return diff;
+}
+
+// Line diff via longest common subsequence. Returns
+// [{ op: "=" | "-" | "+", line }] turning `a` into `b`, or null when the
+// changed region is too large to diff (see MAX_DIFF_CELLS).
+function diffLines(a, b) {
+  const x = a.split("\n");
+  const y = b.split("\n");
+
+  // Unchanged lines at either end need no table
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length;
+  let endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) {
+    endX--;
+    endY--;
+  }
+
+  const n = endX - start;
+  const m = endY - start;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        x[start + i] === y[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = x.slice(0, start).map((line) => ({ op: "=", line }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (x[start + i] === y[start + j]) {
+      ops.push({ op: "=", line: x[start + i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: "-", line: x[start + i++] });
+    } else {
+      ops.push({ op: "+", line: y[start + j++] });
+    }
+  }
+  while (i < n) ops.push({ op: "-", line: x[start + i++] });
+  while (j < m) ops.push({ op: "+", line: y[start + j++] });
+  for (const line of x.slice(endX)) ops.push({ op: "=", line });
+
+  return ops;
+}
+
+module.exports = { TYPES, applyEdit, history, findRevision, removeFor, diffLines };
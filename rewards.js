@@ -0,0 +1,186 @@
+// rewards.js
+//
+// Server-side XP rules for activity. Clients never choose amounts: each
+// action has a fixed reward and a daily cap, near-identical content earns
+// nothing, and deleting rewarded content takes the XP back.
+const { get, all } = require("./db");
+const { addXP, getXP } = require("./xp");
+const timezone = require("./timezone");
+const achievements = require("./achievements");
+
+// action → XP per item and the most XP it can earn per user per day.
+// The action name doubles as the ledger sourceType.
+const RULES = {
+  note: { amount: 10, dailyCap: 50 },
+  file: { amount: 20, dailyCap: 100 },
+  question: { amount: 8, dailyCap: 40 },
+  answer: { amount: 5, dailyCap: 50 },
+  reflection: { amount: 15, dailyCap: 30 },
+  // Scaled by the share of questions answered correctly
+  quiz: { amount: 20, dailyCap: 60 },
+  // For the answerer when an answer is graded; scaled by the score
+  correct_answer: { amount: 10, dailyCap: 100 },
+};
+
+// Earlier content of the same kind by the same user, compared against the
+// new item (bound parameters: username, sourceId)
+const PEERS = {
+  note: `SELECT content AS text FROM notes
+         WHERE author = ? AND id != ? ORDER BY id DESC LIMIT 50`,
+  question: `SELECT text FROM questions
+             WHERE createdBy = ? AND id != ? ORDER BY id DESC LIMIT 50`,
+  reflection: `SELECT content AS text FROM reflections
+               WHERE username = ? AND id != ? AND isDeleted = 0 ORDER BY id DESC LIMIT 50`,
+};
+
+const CURRENT = {
+  note: "SELECT content AS text FROM notes WHERE id = ?",
+  question: "SELECT text FROM questions WHERE id = ?",
+  reflection: "SELECT content AS text FROM reflections WHERE id = ?",
+};
+
+// Subject of the rewarded item, recorded on the XP event for leaderboards
+const SUBJECT = {
+  note: "SELECT subject FROM notes WHERE id = ?",
+  file: "SELECT subject FROM files WHERE id = ?",
+  question: "SELECT subject FROM questions WHERE id = ?",
+  answer: "SELECT q.subject FROM answers a JOIN questions q ON q.id = a.questionId WHERE a.id = ?",
+  correct_answer:
+    "SELECT q.subject FROM answers a JOIN questions q ON q.id = a.questionId WHERE a.id = ?",
+  reflection: "SELECT subject FROM reflections WHERE id = ?",
+  // Only when the whole quiz was in one subject
+  quiz: `SELECT CASE WHEN COUNT(DISTINCT subject) = 1 THEN MAX(subject) END AS subject
+         FROM quiz_items WHERE quizId = ?`,
+};
+
+const SIMILARITY_THRESHOLD = 0.85;
+// Texts shorter than this many words only count as duplicates when equal
+const MIN_FUZZY_WORDS = 4;
+
+function words(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Same words in the same order, or ≥85% overlap of distinct words (Jaccard)
+function nearlyIdentical(a, b) {
+  const x = words(a);
+  const y = words(b);
+  if (x.join(" ") === y.join(" ")) return true;
+  if (x.length < MIN_FUZZY_WORDS || y.length < MIN_FUZZY_WORDS) return false;
+
+  const setX = new Set(x);
+  const setY = new Set(y);
+  let shared = 0;
+  for (const w of setX) if (setY.has(w)) shared++;
+  return shared / (setX.size + setY.size - shared) >= SIMILARITY_THRESHOLD;
+}
+
+async function isDuplicate(action, username, sourceId) {
+  if (action === "file") {
+    // Same bytes uploaded before by this user
+    const row = await get(
+      `SELECT 1 FROM files f JOIN files o ON o.sha256 = f.sha256
+       WHERE f.id = ? AND o.id != f.id AND o.uploader = ? LIMIT 1`,
+      [sourceId, username]
+    );
+    return !!row;
+  }
+
+  if (action === "answer") {
+    // Same answer to the same question
+    const rows = await all(
+      `SELECT o.answerText AS text, a.answerText AS current FROM answers a
+       JOIN answers o ON o.questionId = a.questionId AND o.id != a.id AND o.answeredBy = ?
+       WHERE a.id = ?`,
+      [username, sourceId]
+    );
+    return rows.some((r) => nearlyIdentical(r.text, r.current));
+  }
+
+  // Nothing to compare (quizzes are generated, not written)
+  if (!CURRENT[action]) return false;
+
+  const current = await get(CURRENT[action], [sourceId]);
+  if (!current) return false;
+  const peers = await all(PEERS[action], [username, sourceId]);
+  return peers.some((p) => nearlyIdentical(p.text, current.text));
+}
+
+// XP granted today (in APP_TIMEZONE) for `action` on items other than
+// `sourceId`. Revocations don't free up the cap, so post/delete cycles can't
+// farm past it, but each item counts once at its largest grant: an item
+// that is revoked and re-granted (a regrade) doesn't use up the cap twice.
+async function earnedToday(action, username, sourceId) {
+  const row = await get(
+    `SELECT COALESCE(SUM(amount), 0) AS earned FROM (
+       SELECT MAX(amount) AS amount FROM xp_events
+       WHERE username = ? AND sourceType = ? AND sourceId IS NOT ? AND amount > 0
+         AND createdAt >= ?
+       GROUP BY sourceId
+     )`,
+    [username, action, sourceId, timezone.startOf(timezone.dayOf())]
+  );
+  return row.earned;
+}
+
+// Grants the XP for `action` on item `sourceId` (scaled by `share`, 0..1),
+// unless it was already rewarded, is a near-duplicate, or today's cap is
+// used up. Returns the XP summary plus { awarded, skipped }.
+async function grant(action, username, sourceId, share) {
+  const rule = RULES[action];
+  if (!rule) throw new Error(`Unknown XP action: ${action}`);
+
+  const skip = async (skipped) => ({ ...(await getXP(username)), awarded: 0, skipped });
+
+  const { net } = await get(
+    "SELECT COALESCE(SUM(amount), 0) AS net FROM xp_events WHERE sourceType = ? AND sourceId = ?",
+    [action, sourceId]
+  );
+  if (net > 0) return skip("already_rewarded");
+
+  if (await isDuplicate(action, username, sourceId)) return skip("duplicate");
+
+  const earned = Math.round(rule.amount * share);
+  if (earned <= 0) return skip("no_score");
+
+  const remaining = rule.dailyCap - (await earnedToday(action, username, sourceId));
+  if (remaining <= 0) return skip("daily_cap");
+
+  const amount = Math.min(earned, remaining);
+  const item = await get(SUBJECT[action], [sourceId]);
+  const result = await addXP(username, amount, {
+    reason: action,
+    sourceType: action,
+    sourceId,
+    subject: item && item.subject,
+  });
+  return { ...result, awarded: amount, skipped: null };
+}
+
+// grant() plus the achievements the activity unlocked (checked even when no
+// XP was given, since the activity itself still counts)
+async function reward(action, username, sourceId, share = 1) {
+  const result = await grant(action, username, sourceId, share);
+  return { ...result, achievements: await achievements.evaluate(username, action) };
+}
+
+// Takes back whatever XP is still outstanding for each item
+async function revoke(action, sourceIds) {
+  for (const sourceId of sourceIds) {
+    const rows = await all(
+      `SELECT username, MAX(subject) AS subject, SUM(amount) AS net FROM xp_events
+       WHERE sourceType = ? AND sourceId = ? GROUP BY username HAVING net > 0`,
+      [action, sourceId]
+    );
+    for (const row of rows) {
+      await addXP(row.username, -row.net, {
+        reason: "revoked",
+        sourceType: action,
+        sourceId,
+        subject: row.subject,
+      });
+    }
+  }
+}
+
+module.exports = { RULES, reward, revoke, nearlyIdentical };
@@ -0,0 +1,79 @@
+// search.js
+//
+// Full-text search over the search_index FTS5 table (migration 005).
+const { all } = require("./db");
+const { groupVisibleSql, answerVisibleSql } = require("./visibility");
+
+const TYPES = ["note", "question", "answer", "reflection", "file"];
+const MAX_LIMIT = 50;
+
+// Where each type's group comes from (answers belong to their question's)
+const GROUP_OF = {
+  note: "SELECT id, groupId FROM notes",
+  question: "SELECT id, groupId FROM questions",
+  answer: "SELECT a.id, q.groupId FROM answers a JOIN questions q ON q.id = a.questionId",
+  file: "SELECT id, groupId FROM files",
+};
+
+// Turns free text into an FTS5 query: every word must match, the last one
+// as a prefix so results show up while typing. Quoting each term keeps FTS5
+// syntax (AND, NEAR, column filters, stray quotes) out of user input.
+function toMatchQuery(q) {
+  const terms = (q || "").match(/[\p{L}\p{N}]+/gu) || [];
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((t, i) => (i === terms.length - 1 ? `"${t}"*` : `"${t}"`))
+    .join(" ");
+}
+
+// Private entries (private notes, reflections) only ever match their owner,
+// plus private notes shared with the user. Study group content only matches
+// the group's members, and answers to objective questions only the answerer
+// and the question's author.
+async function search({ q, subject, types, username, limit }) {
+  const match = toMatchQuery(q);
+  if (!match) return [];
+
+  const params = [match];
+  let sql = `
+    SELECT entityType AS type, entityId AS id, subject, owner,
+           snippet(search_index, 0, '<mark>', '</mark>', '…', 16) AS snippet,
+           bm25(search_index) AS score
+    FROM search_index
+    WHERE search_index MATCH ?
+      AND (isPrivate = 0 OR owner = ? OR (entityType = 'note' AND entityId IN (
+        SELECT noteId FROM note_shares WHERE username = ?)))`;
+  params.push(username || null, username || null);
+
+  for (const [type, source] of Object.entries(GROUP_OF)) {
+    const group = groupVisibleSql(username);
+    sql += `
+      AND NOT (entityType = '${type}' AND entityId IN (
+        SELECT id FROM (${source}) WHERE NOT ${group.sql}))`;
+    params.push(...group.params);
+  }
+
+  const answers = answerVisibleSql(username, "entityId");
+  sql += ` AND (entityType != 'answer' OR ${answers.sql})`;
+  params.push(...answers.params);
+
+  if (subject) {
+    sql += " AND subject = ?";
+    params.push(subject);
+  }
+
+  if (types && types.length > 0) {
+    sql += ` AND entityType IN (${types.map(() => "?").join(",")})`;
+    params.push(...types);
+  }
+
+  // bm25() is lower-is-better
+  sql += " ORDER BY score ASC LIMIT ?";
+  params.push(Math.min(Number(limit) || 20, MAX_LIMIT));
+
+  const rows = await all(sql, params);
+  return rows.map((r) => ({ ...r, id: Number(r.id), score: -r.score }));
+}
+
+module.exports = { TYPES, search, toMatchQuery };
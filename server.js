@@ -1,463 +1,1931 @@
 const express = require("express");
 const cors = require("cors");
-const sqlite3 = require("sqlite3").verbose();
-
-// FINAL & ONLY DB INSTANCE
-const db = new sqlite3.Database("./compre.db");
+const { db, run, get, all } = require("./db");
+const migrate = require("./migrate");
 
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const auth = require("./auth");
+const { canManage, hasRole, requireRole, isValidRole, DEFAULT_ROLE } = require("./permissions");
+const revisions = require("./revisions");
+const search = require("./search");
+const { paginate, EMPTY_PAGE } = require("./pagination");
+const {
+  noteVisibleSql,
+  canViewNote,
+  groupVisibleSql,
+  canViewGroup,
+  answerVisibleSql,
+} = require("./visibility");
+const uploads = require("./uploads");
+const previews = require("./previews");
+const { addXP, getXP, summary } = require("./xp");
+const rewards = require("./rewards");
+const streaks = require("./streaks");
+const leaderboard = require("./leaderboard");
+const achievements = require("./achievements");
+const quizzes = require("./quizzes");
+const questionTypes = require("./questionTypes");
+const review = require("./review");
+const grading = require("./grading");
+const notifications = require("./notifications");
+const subjects = require("./subjects");
+const groups = require("./groups");
+const realtime = require("./realtime");
+const moods = require("./moods");
+const insights = require("./insights");
 
 const app = express();
 app.use(cors({ origin: "*" }));
 app.use(express.json());
 
-// Serve uploaded files
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Bootstrap admins (comma-separated usernames)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || "")
+  .split(",")
+  .map((u) => u.trim())
+  .filter(Boolean);
 
 
+// ======================================================
+// AUTH
+// ======================================================
 
+// Reads "Authorization: Bearer <token>" and sets req.user when the token is
+// valid and its session has not been logged out. Never rejects by itself.
+// The first authenticated request of a day also counts toward the streak.
+// GET requests may pass ?access_token= instead, for plain links such as
+// file downloads that cannot set headers.
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice(7)
+    : req.method === "GET" && typeof req.query.access_token === "string"
+      ? req.query.access_token
+      : null;
+  const payload = auth.verifyToken(token);
+  if (!payload) return next();
 
+  db.get(
+    `SELECT u.id, u.username, u.role FROM sessions s
+     JOIN users u ON u.username = s.username
+     WHERE s.id = ? AND s.revokedAt IS NULL`,
+    [payload.sid],
+    (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (row) {
+        req.user = {
+          id: row.id,
+          username: row.username,
+          role: row.role || DEFAULT_ROLE,
+        };
+        req.sessionId = payload.sid;
+
+        return streaks
+          .recordActivity(row.username)
+          .catch((e) => console.error(`Streak update for ${row.username} failed: ${e.message}`))
+          .then(() => next());
+      }
+      next();
+    }
+  );
+}
 
-// Create required tables
-db.run(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE,
-    password TEXT,
-    xp INTEGER DEFAULT 0,
-    level INTEGER DEFAULT 1,
-    streak INTEGER DEFAULT 0,
-    last_login TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS notes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    subject TEXT,
-    author TEXT,
-    content TEXT,
-    isPublic INTEGER DEFAULT 1,
-    createdAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    noteId INTEGER,
-    author TEXT,
-    content TEXT,
-    createdAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS files (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    subject TEXT,
-    originalName TEXT,
-    filePath TEXT,
-    uploader TEXT,
-    uploadedAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS reflections (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT,
-    subject TEXT,
-    content TEXT,
-    mood TEXT,
-    createdAt TEXT,
-    isDeleted INTEGER DEFAULT 0
-  )
-`);
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  next();
+}
 
+app.use(authenticate);
 
+// Loads `table` row by req.params[param] into req.resource (404 if missing)
+function loadRow(table, notFound, param = "id") {
+  return (req, res, next) => {
+    db.get(`SELECT * FROM ${table} WHERE id = ?`, [req.params[param]], (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!row) return res.status(404).json({ error: notFound });
 
+      req.resource = row;
+      next();
+    });
+  };
+}
 
-db.run(`
-  CREATE TABLE IF NOT EXISTS questions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    subject TEXT,
-    text TEXT,
-    suggested TEXT,
-    createdBy TEXT,
-    createdAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS answers (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    questionId INTEGER,
-    answerText TEXT,
-    answeredBy TEXT,
-    createdAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS grades (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    answerId INTEGER,
-    questionId INTEGER,
-    isCorrect INTEGER,
-    feedback TEXT,
-    gradedBy TEXT,
-    createdAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS progress (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT,
-    subject TEXT,
-    value INTEGER,
-    updatedAt TEXT
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS exp (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT,
-    amount INTEGER,
-    createdAt TEXT
-  )
-`);
-
-
-
-// Subjects for Question Bank
-app.get("/lessons", (req, res) => {
-  res.json({
-    firstSemester: [
-      "Understanding the Self",
-      "Readings in the Philippine History",
-      "Mathematics in the Modern World",
-      "Ethics",
-      "The Life and Works of Rizal"
-    ],
-    secondSemester: [
-      "Purposive Communication",
-      "Art Appreciation",
-      "Science, Technology and Society",
-      "The Contemporary World"
-    ]
+// Like loadRow, but allows the request only for the row's owner
+// (`ownerColumn`) or a moderator/admin.
+function loadOwned(table, ownerColumn, notFound, param = "id") {
+  const load = loadRow(table, notFound, param);
+  return (req, res, next) => {
+    load(req, res, () => {
+      if (!canManage(req.user, req.resource[ownerColumn]))
+        return res.status(403).json({ error: "Not allowed" });
+      next();
+    });
+  };
+}
+
+// Resolves the subject a write names ({ subjectId } or { subject }) into
+// req.subject; 400 if it is unknown or archived
+function requireSubject(req, res, next) {
+  subjects.resolve(req.body).then(
+    ({ subject, error }) => {
+      if (error) return res.status(400).json({ error });
+      req.subject = subject;
+      next();
+    },
+    (e) => res.status(500).json({ error: e.message })
+  );
+}
+
+// Reads the optional { groupId } of a write into req.groupId (null when
+// absent). Only the group's members may post in it.
+function optionalGroup(req, res, next) {
+  const { groupId } = req.body;
+  if (groupId === undefined || groupId === null || groupId === "") {
+    req.groupId = null;
+    return next();
+  }
+
+  groups.membership(groupId, req.user.username).then(
+    (member) => {
+      if (!member) return res.status(403).json({ error: "Not a member of this group" });
+      req.groupId = member.groupId;
+      next();
+    },
+    (e) => res.status(500).json({ error: e.message })
+  );
+}
+
+// 404 for group content the caller isn't a member of. Runs after loadRow;
+// `groupOf(row)` gives the row's group (may return a promise).
+function inVisibleGroup(notFound, groupOf = (row) => row.groupId) {
+  return async (req, res, next) => {
+    try {
+      const groupId = await groupOf(req.resource);
+      if (!(await canViewGroup(groupId, req.user && req.user.username)))
+        return res.status(404).json({ error: notFound });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    next();
+  };
+}
+
+// Answers belong to their question's group
+async function groupOfAnswer(answer) {
+  const question = await get("SELECT groupId FROM questions WHERE id = ?", [answer.questionId]);
+  return question ? question.groupId : null;
+}
+
+// Adds to `where`/`params` the condition hiding others' answers to
+// objective questions (see visibility.js); moderators see them all.
+// `column` holds the answer id.
+function answerScope(req, column, where, params) {
+  if (hasRole(req.user, "moderator")) return;
+  const visible = answerVisibleSql(req.user && req.user.username, column);
+  where.push(visible.sql);
+  params.push(...visible.params);
+}
+
+// Condition limiting a list to `req.group` (the /groups/:id/... routes) or
+// to ?groupId=, plus the caller's group visibility. `column` may carry a
+// table alias.
+function groupScope(req, column = "groupId") {
+  const visible = groupVisibleSql(req.user && req.user.username, column);
+  const where = [visible.sql];
+  const params = [...visible.params];
+
+  const groupId = req.group ? req.group.id : req.query.groupId;
+  if (groupId) {
+    where.push(`${column} = ?`);
+    params.push(groupId);
+  }
+  return { where, params };
+}
+
+// GET handler for a paginated list. `filter(req)` returns the route's own
+// { where, params }, or null to answer with an empty page; `format(row, req)`
+// maps each row to its API shape.
+function listRoute(spec, filter, format) {
+  return async (req, res) => {
+    const own = filter(req);
+    if (!own) return res.json(EMPTY_PAGE);
+
+    try {
+      const page = await paginate(spec, req.query, own.where, own.params);
+      if (page.error) return res.status(400).json({ error: page.error });
+      res.json(format ? { ...page, items: page.items.map((row) => format(row, req)) } : page);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  };
+}
+
+// Loads the note in req.params.id into req.note, answering 404 (not 403,
+// so private notes don't leak their existence) if the caller can't see it.
+function visibleNote(req, res, next) {
+  db.get("SELECT * FROM notes WHERE id = ?", [req.params.id], async (err, note) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    try {
+      if (!note || !(await canViewNote(note, req.user && req.user.username)))
+        return res.status(404).json({ error: "Note not found" });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+
+    req.note = note;
+    next();
+  });
+}
+
+// visibleNote for routes that moderate a note or its comments (edit,
+// revert, delete): moderators and admins get through whether or not they
+// can read the note.
+function managedNote(req, res, next) {
+  if (!hasRole(req.user, "moderator")) return visibleNote(req, res, next);
+
+  db.get("SELECT * FROM notes WHERE id = ?", [req.params.id], (err, note) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!note) return res.status(404).json({ error: "Note not found" });
+
+    req.note = note;
+    next();
+  });
+}
+
+// Comment routes are nested under their note; reject mismatched pairs
+function commentOfNote(req, res, next) {
+  if (String(req.resource.noteId) !== req.params.id)
+    return res.status(404).json({ error: "Comment not found" });
+  next();
+}
+
+function startSession(username) {
+  return new Promise((resolve, reject) => {
+    const sid = auth.newSessionId();
+    const { token, expiresAt } = auth.createToken(sid, username);
+
+    db.run(
+      "INSERT INTO sessions (id, username, createdAt, expiresAt) VALUES (?,?,?,?)",
+      [sid, username, new Date().toISOString(), new Date(expiresAt).toISOString()],
+      async (err) => {
+        if (err) return reject(err);
+
+        // As in authenticate: a failed streak update must not block sign-in
+        await streaks
+          .recordActivity(username)
+          .catch((e) => console.error(`Streak update for ${username} failed: ${e.message}`));
+        resolve({ token, expiresAt: new Date(expiresAt).toISOString() });
+      }
+    );
+  });
+}
+
+const USERNAME_RE = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Credentials arrive as JSON; anything but strings is rejected before it
+// reaches the username pattern or scrypt
+function areStrings(...values) {
+  return values.every((v) => typeof v === "string");
+}
+
+app.post("/auth/register", (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password)
+    return res.status(400).json({ error: "Missing fields" });
+  if (!areStrings(username, password))
+    return res.status(400).json({ error: "username and password must be strings" });
+  if (!USERNAME_RE.test(username))
+    return res.status(400).json({
+      error: "Username must be 3-32 letters, digits, '.', '_' or '-'"
+    });
+  if (password.length < MIN_PASSWORD_LENGTH)
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+
+  db.get("SELECT * FROM users WHERE username = ?", [username], async (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    // Accounts auto-created before auth existed have no password yet; they
+    // are claimed with an admin-issued reset code (POST /auth/reset)
+    if (row) {
+      return res.status(409).json({
+        error: row.password
+          ? "Username already taken"
+          : "This account has to be claimed with a reset code from an admin"
+      });
+    }
+
+    try {
+      const hash = await auth.hashPassword(password);
+      const role = ADMIN_USERNAMES.includes(username) ? "admin" : DEFAULT_ROLE;
+      const sql =
+        "INSERT INTO users (password, role, username, streak, last_login) VALUES (?,?,?,0,NULL)";
+
+      db.run(sql, [hash, role, username], async (err2) => {
+        if (err2) return res.status(500).json({ error: err2.message });
+
+        try {
+          const session = await startSession(username);
+          res.status(201).json({ username, ...session });
+        } catch (e) {
+          res.status(500).json({ error: e.message });
+        }
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
   });
 });
 
+app.post("/auth/login", (req, res) => {
+  const { username, password } = req.body;
 
-// Multer config
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const dir = path.join(__dirname, "uploads");
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir);
-    cb(null, "uploads/");
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + "-" + file.originalname);
-  },
+  if (!username || !password)
+    return res.status(400).json({ error: "Missing fields" });
+  if (!areStrings(username, password))
+    return res.status(400).json({ error: "username and password must be strings" });
+
+  db.get("SELECT * FROM users WHERE username = ?", [username], async (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    try {
+      const ok = row && (await auth.verifyPassword(password, row.password));
+      if (!ok) return res.status(401).json({ error: "Invalid username or password" });
+
+      const session = await startSession(row.username);
+      res.json({ username: row.username, ...session });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 });
-const upload = multer({ storage });
+
+// POST /auth/reset { username, code, password } — sets a new password with
+// an admin-issued code (see POST /admin/users/:username/password-reset).
+// Also how accounts without a password are claimed. Other sessions end.
+app.post("/auth/reset", async (req, res) => {
+  const { username, code, password } = req.body;
+
+  if (!username || !code || !password)
+    return res.status(400).json({ error: "Missing fields" });
+  if (!areStrings(username, code, password))
+    return res.status(400).json({ error: "username, code and password must be strings" });
+  if (password.length < MIN_PASSWORD_LENGTH)
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+
+  try {
+    const reset = await get("SELECT * FROM password_resets WHERE username = ?", [username]);
+    const valid =
+      reset &&
+      reset.codeHash === auth.hashResetCode(code) &&
+      Date.parse(reset.expiresAt) > Date.now();
+    if (!valid) return res.status(401).json({ error: "Invalid or expired reset code" });
+
+    const user = await get("SELECT * FROM users WHERE username = ?", [username]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // Claiming a legacy account: ADMIN_USERNAMES applies as on sign-up
+    let role = user.role || DEFAULT_ROLE;
+    if (!user.password && role === DEFAULT_ROLE && ADMIN_USERNAMES.includes(username)) role = "admin";
+
+    await run("UPDATE users SET password = ?, role = ? WHERE username = ?", [
+      await auth.hashPassword(password),
+      role,
+      username,
+    ]);
+    await run("DELETE FROM password_resets WHERE username = ?", [username]);
+    const sessions = await all(
+      "SELECT id FROM sessions WHERE username = ? AND revokedAt IS NULL",
+      [username]
+    );
+    await run("UPDATE sessions SET revokedAt = ? WHERE username = ? AND revokedAt IS NULL", [
+      new Date().toISOString(),
+      username,
+    ]);
+    // Their open event streams end too, as on logout
+    for (const { id } of sessions) realtime.closeSession(id);
+
+    const session = await startSession(username);
+    res.json({ username, ...session });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/auth/logout", requireAuth, (req, res) => {
+  db.run(
+    "UPDATE sessions SET revokedAt = ? WHERE id = ?",
+    [new Date().toISOString(), req.sessionId],
+    (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      realtime.closeSession(req.sessionId);
+      res.json({ success: true });
+    }
+  );
+});
+
+app.get("/auth/me", requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+
+// ======================================================
+// ADMIN — USER ROLES
+// ======================================================
+app.get("/admin/users", requireAuth, requireRole("admin"), (req, res) => {
+  const { role } = req.query;
+  const params = [];
+  let sql = `SELECT id, username, role, last_login,
+    (SELECT COALESCE(SUM(amount), 0) FROM xp_events e WHERE e.username = users.username) AS totalXp
+    FROM users`;
+
+  if (role) {
+    sql += " WHERE role = ?";
+    params.push(role);
+  }
+
+  sql += " ORDER BY username ASC";
+
+  db.all(sql, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows.map(({ totalXp, ...u }) => ({ ...u, ...summary(u.username, totalXp) })));
+  });
+});
+
+app.patch("/admin/users/:username", requireAuth, requireRole("admin"), (req, res) => {
+  const { username } = req.params;
+  const { role } = req.body;
+
+  if (!isValidRole(role))
+    return res.status(400).json({ error: "Invalid role" });
+
+  db.get("SELECT * FROM users WHERE username = ?", [username], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ error: "User not found" });
+
+    db.get(
+      "SELECT COUNT(*) AS count FROM users WHERE role = 'admin'",
+      [],
+      (err2, admins) => {
+        if (err2) return res.status(500).json({ error: err2.message });
+
+        // Never leave the deployment without an admin
+        if (row.role === "admin" && role !== "admin" && admins.count <= 1)
+          return res.status(409).json({ error: "Cannot demote the last admin" });
+
+        db.run(
+          "UPDATE users SET role = ? WHERE username = ?",
+          [role, username],
+          (err3) => {
+            if (err3) return res.status(500).json({ error: err3.message });
+            res.json({ username, role });
+          }
+        );
+      }
+    );
+  });
+});
+
+// One-time code for POST /auth/reset, valid for a day. Issuing a new one
+// replaces the old. Handed to the user out of band.
+app.post("/admin/users/:username/password-reset", requireAuth, requireRole("admin"), async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const user = await get("SELECT username FROM users WHERE username = ?", [username]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const { code, expiresAt } = auth.newResetCode();
+    await run(
+      `INSERT INTO password_resets (username, codeHash, createdBy, createdAt, expiresAt) VALUES (?,?,?,?,?)
+       ON CONFLICT (username) DO UPDATE SET codeHash = excluded.codeHash,
+         createdBy = excluded.createdBy, createdAt = excluded.createdAt, expiresAt = excluded.expiresAt`,
+      [username, auth.hashResetCode(code), req.user.username, new Date().toISOString(),
+        new Date(expiresAt).toISOString()]
+    );
+    res.json({ username, code, expiresAt: new Date(expiresAt).toISOString() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// ======================================================
+// SUBJECTS
+// ======================================================
+
+// Current subjects by semester (the original hard-coded list's shape)
+app.get("/lessons", async (req, res) => {
+  try {
+    res.json(await subjects.lessons());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /subjects?includeArchived=true
+app.get("/subjects", async (req, res) => {
+  try {
+    const rows = await subjects.list({ includeArchived: req.query.includeArchived === "true" });
+    res.json(rows.map(subjects.format));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/subjects/:id", loadRow("subjects", "Subject not found"), async (req, res) => {
+  try {
+    res.json({ ...subjects.format(req.resource), usage: await subjects.usage(req.resource.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /subjects { name, code, semester, yearLevel }
+app.post("/subjects", requireAuth, requireRole("admin"), async (req, res) => {
+  const { fields, error } = subjects.parse(req.body, { requireName: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const taken = await subjects.conflict(fields);
+    if (taken) return res.status(409).json({ error: taken });
+
+    res.status(201).json(subjects.format(await subjects.create(fields)));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /subjects/:id { name, code, semester, yearLevel, archived }
+// A new name is applied to everything filed under the subject.
+app.patch(
+  "/subjects/:id",
+  requireAuth,
+  requireRole("admin"),
+  loadRow("subjects", "Subject not found"),
+  async (req, res) => {
+    const { fields, error } = subjects.parse(req.body);
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+    try {
+      const taken = await subjects.conflict(fields, req.resource.id);
+      if (taken) return res.status(409).json({ error: taken });
+
+      res.json(subjects.format(await subjects.update(req.resource, fields)));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Only unused subjects can be deleted; archive the others
+app.delete(
+  "/subjects/:id",
+  requireAuth,
+  requireRole("admin"),
+  loadRow("subjects", "Subject not found"),
+  async (req, res) => {
+    try {
+      if (!(await subjects.remove(req.resource)))
+        return res.status(409).json({
+          error: "Subject is in use; archive it or merge it into another subject instead",
+          usage: await subjects.usage(req.resource.id),
+        });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// POST /subjects/:id/merge { into }  (e.g. to fold a misspelled subject
+// into the right one)
+app.post(
+  "/subjects/:id/merge",
+  requireAuth,
+  requireRole("admin"),
+  loadRow("subjects", "Subject not found"),
+  async (req, res) => {
+    try {
+      const target = req.body.into !== undefined ? await subjects.find(req.body.into) : null;
+      if (!target) return res.status(400).json({ error: "into must be an existing subject" });
+      if (target.id === req.resource.id)
+        return res.status(400).json({ error: "Cannot merge a subject into itself" });
+
+      res.json(subjects.format(await subjects.merge(req.resource, target)));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+
+// Multer (see uploads.js for limits and allowlists). Its errors become
+// 413 (too large) / 415 (type not allowed) responses.
+function receiveUpload(req, res, next) {
+  uploads.upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE")
+        return res.status(413).json({
+          error: `File too large (max ${uploads.MAX_FILE_BYTES / (1024 * 1024)} MB)`
+        });
+      return res.status(400).json({ error: err.message });
+    }
+    if (err instanceof uploads.UploadError)
+      return res.status(err.status).json({ error: err.message });
+
+    res.status(500).json({ error: err.message });
+  });
+}
+
+function uploadUsage(username) {
+  return get("SELECT COALESCE(SUM(size), 0) AS used FROM files WHERE uploader = ?", [username]);
+}
+
+// Reject before receiving anything once the quota is used up
+async function checkQuota(req, res, next) {
+  try {
+    const { used } = await uploadUsage(req.user.username);
+    if (used >= uploads.USER_QUOTA_BYTES)
+      return res.status(413).json({ error: "Upload quota exceeded", used, quota: uploads.USER_QUOTA_BYTES });
+    next();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
 
 
 // ======================================================
 // NOTES
 // ======================================================
-app.get("/notes", (req, res) => {
-  const { subject } = req.query;
-  if (!subject) return res.json([]);
+const NOTE_LIST = {
+  table: "notes",
+  sorts: { createdAt: "createdAt", author: "COALESCE(author, '')" },
+  author: "author",
+  date: "createdAt",
+};
+
+// includeComments: true (default) | false | latest:N
+function parseIncludeComments(value) {
+  if (value === undefined || value === "true") return { mode: "all" };
+  if (value === "false") return { mode: "none" };
+
+  const match = /^latest:(\d+)$/.exec(value);
+  if (match && Number(match[1]) > 0) return { mode: "latest", n: Number(match[1]) };
+  return null;
+}
+
+// Comment counts and comments for a page of notes in at most two queries.
+// Returns Map(noteId → { count, comments }).
+async function loadComments(noteIds, include) {
+  const byNote = new Map(noteIds.map((id) => [id, { count: 0, comments: [] }]));
+  if (noteIds.length === 0) return byNote;
+
+  const marks = noteIds.map(() => "?").join(",");
+  const counts = await all(
+    `SELECT noteId, COUNT(*) AS count FROM comments WHERE noteId IN (${marks}) GROUP BY noteId`,
+    noteIds
+  );
+  for (const c of counts) byNote.get(c.noteId).count = c.count;
+
+  let rows = [];
+  if (include.mode === "all") {
+    rows = await all(
+      `SELECT * FROM comments WHERE noteId IN (${marks}) ORDER BY createdAt ASC, id ASC`,
+      noteIds
+    );
+  } else if (include.mode === "latest") {
+    rows = await all(
+      `SELECT id, noteId, author, content, createdAt, updatedAt FROM (
+         SELECT *, ROW_NUMBER() OVER (
+           PARTITION BY noteId ORDER BY createdAt DESC, id DESC
+         ) AS rn
+         FROM comments WHERE noteId IN (${marks})
+       )
+       WHERE rn <= ?
+       ORDER BY createdAt ASC, id ASC`,
+      [...noteIds, include.n]
+    );
+  }
+  for (const row of rows) byNote.get(row.noteId).comments.push(row);
+
+  return byNote;
+}
+
+// Notes of a subject (GET /notes?subject=) or of a study group
+// (GET /groups/:id/notes, subject optional)
+async function listNotes(req, res) {
+  const { subject, isPublic } = req.query;
+  if (!subject && !req.group) return res.json(EMPTY_PAGE);
+
+  const include = parseIncludeComments(req.query.includeComments);
+  if (!include)
+    return res.status(400).json({ error: "includeComments must be true, false or latest:N" });
+
+  const visible = noteVisibleSql(req.user && req.user.username);
+  const where = [visible.sql];
+  const params = [...visible.params];
+  if (subject) {
+    where.push("subject = ?");
+    params.push(subject);
+  }
+  const group = groupScope(req);
+  where.push(...group.where);
+  params.push(...group.params);
+  if (isPublic !== undefined) {
+    where.push("isPublic = ?");
+    params.push(isPublic === "true" || isPublic === "1" ? 1 : 0);
+  }
+
+  try {
+    const page = await paginate(NOTE_LIST, req.query, where, params);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    const comments = await loadComments(page.items.map((n) => n.id), include);
+
+    const notes = page.items.map((row) => {
+      const { count, comments: list } = comments.get(row.id);
+      const note = {
+        id: row.id,
+        subject: row.subject,
+        groupId: row.groupId,
+        author: row.author,
+        content: row.content,
+        isPublic: row.isPublic === 1,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        commentCount: count,
+      };
+      if (include.mode !== "none") note.comments = list;
+      return note;
+    });
+
+    res.json({ items: notes, nextCursor: page.nextCursor });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+app.get("/notes", listNotes);
+
+// POST /notes { subject, content, isPublic, groupId }. In a group,
+// isPublic means visible to the group's members.
+app.post("/notes", requireAuth, requireSubject, optionalGroup, async (req, res) => {
+  const { content, isPublic } = req.body;
+  const { id: subjectId, name: subject } = req.subject;
+  const { groupId } = req;
+  const author = req.user.username;
+  if (!content)
+    return res.status(400).json({ error: "Missing fields" });
+
+  const createdAt = new Date().toISOString();
+
+  db.run(
+    `INSERT INTO notes (subject, subjectId, groupId, author, content, isPublic, createdAt)
+     VALUES (?,?,?,?,?,?,?)`,
+    [subject, subjectId, groupId, author, content, isPublic ? 1 : 0, createdAt],
+    async function (err) {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const note = {
+        id: this.lastID,
+        subject,
+        subjectId,
+        groupId,
+        author,
+        content,
+        isPublic: !!isPublic,
+        createdAt,
+      };
+
+      // The note is saved by now: failed side effects are logged, not
+      // reported as a failed request
+      let xp = { awarded: 0, achievements: [] };
+      try {
+        xp = await rewards.reward("note", author, note.id);
+      } catch (e) {
+        console.error(`XP for note ${note.id} failed: ${e.message}`);
+      }
+      try {
+        const audience = await realtime.noteAudience({ ...note, isPublic: isPublic ? 1 : 0 });
+        realtime.publish("note.created", { subject, data: note }, audience);
+      } catch (e) {
+        console.error(`note.created event for note ${note.id} failed: ${e.message}`);
+      }
+
+      res.json({ ...note, xpAwarded: xp.awarded, achievementsUnlocked: xp.achievements });
+    }
+  );
+});
+
+
+app.delete("/notes/:id", requireAuth, loadOwned("notes", "author", "Note not found"), async (req, res) => {
+  const noteId = req.resource.id;
+
+  try {
+    const audience = await realtime.noteAudience(req.resource);
+    const comments = await all("SELECT id FROM comments WHERE noteId = ?", [noteId]);
+    await revisions.removeFor("comment", comments.map((c) => c.id));
+    await revisions.removeFor("note", [noteId]);
+
+    // Comments go with it (ON DELETE CASCADE)
+    await run("DELETE FROM notes WHERE id = ?", [noteId]);
+    await rewards.revoke("note", [noteId]);
+    realtime.publish("note.deleted", { subject: req.resource.subject, data: { id: noteId } }, audience);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/notes/:id/comments", requireAuth, visibleNote, (req, res) => {
+  const noteId = req.note.id;
+  const { content } = req.body;
+  const author = req.user.username;
+
+  if (!content)
+    return res.status(400).json({ error: "Missing fields" });
+
+  const createdAt = new Date().toISOString();
+
+  db.run(
+    "INSERT INTO comments (noteId, author, content, createdAt) VALUES (?,?,?,?)",
+    [noteId, author, content, createdAt],
+    async function (err) {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const comment = { id: this.lastID, noteId, author, content, createdAt };
+      try {
+        const audience = await realtime.noteAudience(req.note);
+        realtime.publish("comment.created", { subject: req.note.subject, data: comment }, audience);
+
+        if (req.note.author && req.note.author !== author)
+          await notifications.notify(
+            req.note.author,
+            "comment",
+            `${author} commented on your note in ${req.note.subject}`,
+            { noteId: req.note.id, commentId: comment.id }
+          );
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+      res.json(comment);
+    }
+  );
+});
+
+app.delete(
+  "/notes/:id/comments/:commentId",
+  requireAuth,
+  managedNote,
+  loadOwned("comments", "author", "Comment not found", "commentId"),
+  commentOfNote,
+  async (req, res) => {
+    try {
+      await revisions.removeFor("comment", [req.resource.id]);
+      await run("DELETE FROM comments WHERE id = ?", [req.resource.id]);
+      realtime.publish(
+        "comment.deleted",
+        { subject: req.note.subject, data: { id: req.resource.id, noteId: req.note.id } },
+        await realtime.noteAudience(req.note)
+      );
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+
+// Sharing private notes — managed by the note's author only
+app.get("/notes/:id/shares", requireAuth, visibleNote, (req, res) => {
+  if (req.note.author !== req.user.username)
+    return res.status(403).json({ error: "Not allowed" });
 
   db.all(
-    "SELECT * FROM notes WHERE subject = ? ORDER BY createdAt DESC",
-    [subject],
+    "SELECT username, sharedBy, createdAt FROM note_shares WHERE noteId = ? ORDER BY createdAt ASC",
+    [req.note.id],
     (err, rows) => {
       if (err) return res.status(500).json({ error: err.message });
+      res.json(rows);
+    }
+  );
+});
 
-      const notes = [];
-      let pending = rows.length;
-      if (pending === 0) return res.json([]);
+app.post("/notes/:id/shares", requireAuth, visibleNote, (req, res) => {
+  const { username } = req.body;
+  if (!username) return res.status(400).json({ error: "Missing fields" });
+  if (req.note.author !== req.user.username)
+    return res.status(403).json({ error: "Not allowed" });
 
-      rows.forEach((row) => {
-        db.all(
-          "SELECT * FROM comments WHERE noteId = ? ORDER BY createdAt ASC",
-          [row.id],
-          (err2, crows) => {
-            notes.push({
-              id: row.id,
-              subject: row.subject,
-              author: row.author,
-              content: row.content,
-              isPublic: row.isPublic === 1,
-              createdAt: row.createdAt,
-              comments: crows || [],
-            });
-            pending--;
-            if (pending === 0) {
-              notes.sort(
-                (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-              );
-              res.json(notes);
-            }
-          }
-        );
-      });
+  db.get("SELECT id FROM users WHERE username = ?", [username], (err, user) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const createdAt = new Date().toISOString();
+    db.run(
+      "INSERT OR IGNORE INTO note_shares (noteId, username, sharedBy, createdAt) VALUES (?,?,?,?)",
+      [req.note.id, username, req.user.username, createdAt],
+      (err2) => {
+        if (err2) return res.status(500).json({ error: err2.message });
+        res.json({ noteId: req.note.id, username, sharedBy: req.user.username, createdAt });
+      }
+    );
+  });
+});
+
+app.delete("/notes/:id/shares/:username", requireAuth, visibleNote, (req, res) => {
+  if (req.note.author !== req.user.username)
+    return res.status(403).json({ error: "Not allowed" });
+
+  db.run(
+    "DELETE FROM note_shares WHERE noteId = ? AND username = ?",
+    [req.note.id, req.params.username],
+    (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
     }
   );
 });
 
-app.post("/notes", async (req, res) => {
-  const { subject, author, content, isPublic } = req.body;
-  if (!subject || !author || !content)
+
+// ======================================================
+// FILES
+// ======================================================
+const FILE_LIST = {
+  table: "files",
+  sorts: {
+    createdAt: "uploadedAt",
+    author: "COALESCE(uploader, '')",
+    downloads: "COALESCE(downloads, 0)",
+  },
+  author: "uploader",
+  date: "uploadedAt",
+};
+
+// Files of a subject (GET /files?subject=) or of a study group
+// (GET /groups/:id/files, subject optional)
+function fileFilter(req) {
+  if (!req.query.subject && !req.group) return null;
+
+  const { where, params } = groupScope(req);
+  if (req.query.subject) {
+    where.push("subject = ?");
+    params.push(req.query.subject);
+  }
+  return { where, params };
+}
+
+app.get("/files", listRoute(FILE_LIST, fileFilter));
+
+app.post("/upload", requireAuth, checkQuota, receiveUpload, async (req, res) => {
+  const uploader = req.user.username;
+  if (!req.file) return res.status(400).json({ error: "No file" });
+
+  const stored = req.file.path;
+  const originalName = uploads.sanitizeName(req.file.originalname);
+  const ext = uploads.extensionOf(originalName);
+  const { size, mimetype: mimeType } = req.file;
+
+  try {
+    let groupId = null;
+    if (req.body.groupId) {
+      const member = await groups.membership(req.body.groupId, uploader);
+      if (!member) {
+        uploads.removeQuietly(stored);
+        return res.status(403).json({ error: "Not a member of this group" });
+      }
+      groupId = member.groupId;
+    }
+
+    // Files may be left unfiled, but a named subject must exist
+    let subject = null;
+    let subjectId = null;
+    if (req.body.subject || req.body.subjectId) {
+      const resolved = await subjects.resolve(req.body);
+      if (resolved.error) {
+        uploads.removeQuietly(stored);
+        return res.status(400).json({ error: resolved.error });
+      }
+      ({ id: subjectId, name: subject } = resolved.subject);
+    }
+
+    const { sha256, head } = await uploads.inspect(stored);
+
+    if (!uploads.contentMatches(ext, head)) {
+      uploads.removeQuietly(stored);
+      return res.status(415).json({ error: `File content is not a valid .${ext} file` });
+    }
+
+    const { used } = await uploadUsage(uploader);
+    if (used + size > uploads.USER_QUOTA_BYTES) {
+      uploads.removeQuietly(stored);
+      return res.status(413).json({ error: "Upload quota exceeded", used, quota: uploads.USER_QUOTA_BYTES });
+    }
+
+    // The same content already shared in this subject, where the uploader
+    // can see it: report it instead
+    const visible = groupVisibleSql(uploader);
+    const duplicate = await get(
+      `SELECT * FROM files WHERE sha256 = ? AND subject IS ? AND ${visible.sql} ORDER BY id LIMIT 1`,
+      [sha256, subject, ...visible.params]
+    );
+    if (duplicate) {
+      uploads.removeQuietly(stored);
+      return res.status(409).json({ error: "This file was already uploaded", duplicateOf: duplicate });
+    }
+
+    // Same content elsewhere: keep one copy on disk and point at it
+    const existing = await get("SELECT filePath FROM files WHERE sha256 = ? LIMIT 1", [sha256]);
+    let filePath = "/uploads/" + req.file.filename;
+    if (existing) {
+      uploads.removeQuietly(stored);
+      filePath = existing.filePath;
+    }
+
+    const uploadedAt = new Date().toISOString();
+    const { lastID } = await run(
+      `INSERT INTO files
+       (subject, subjectId, groupId, originalName, filePath, uploader, uploadedAt, size, mimeType, sha256)
+       VALUES (?,?,?,?,?,?,?,?,?,?)`,
+      [subject, subjectId, groupId, originalName, filePath, uploader, uploadedAt, size, mimeType, sha256]
+    );
+
+    const xp = await rewards.reward("file", uploader, lastID);
+    await previews.enqueue(lastID);
+
+    const file = {
+      id: lastID,
+      subject,
+      subjectId,
+      groupId,
+      originalName,
+      filePath,
+      uploader,
+      uploadedAt,
+      size,
+      mimeType,
+      sha256,
+    };
+    realtime.publish("file.created", { subject, data: file }, { groupId });
+
+    res.json({
+      ...file,
+      deduplicated: !!existing,
+      xpAwarded: xp.awarded,
+      achievementsUnlocked: xp.achievements,
+    });
+  } catch (e) {
+    uploads.removeQuietly(stored);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Loads req.resource, hiding files of groups the caller isn't in
+const visibleFile = [loadRow("files", "File not found"), inVisibleGroup("File not found")];
+
+// Any signed-in member may download. Range requests and conditional GETs
+// (ETag / Last-Modified) are handled by res.download.
+app.get("/files/:id/download", requireAuth, ...visibleFile, (req, res) => {
+  const file = req.resource;
+  const fullPath = path.join(__dirname, file.filePath);
+
+  // Count whole downloads only: a 200, or a range that covers the entire
+  // file — not range chunks (even the first) or 304s
+  res.on("finish", () => {
+    const range = /^bytes 0-(\d+)\/(\d+)$/.exec(res.getHeader("Content-Range") || "");
+    const whole =
+      res.statusCode === 200 || (res.statusCode === 206 && range && +range[1] + 1 === +range[2]);
+    if (whole) {
+      db.run("UPDATE files SET downloads = COALESCE(downloads, 0) + 1 WHERE id = ?", [file.id]);
+    }
+  });
+
+  const headers = { "Cache-Control": "private, no-cache" };
+  // Content hash makes a strong validator; older files fall back to size/mtime
+  if (file.sha256) headers.ETag = `"${file.sha256}"`;
+  if (file.mimeType) headers["Content-Type"] = file.mimeType;
+
+  res.download(fullPath, file.originalName || path.basename(fullPath), { headers }, (err) => {
+    if (!err || res.headersSent) return;
+    if (err.code === "ENOENT") return res.status(404).json({ error: "File missing on server" });
+    res.status(500).json({ error: err.message });
+  });
+});
+
+// Text extracted in the background (PDF, DOCX, TXT). 202 while pending.
+app.get("/files/:id/text", requireAuth, ...visibleFile, async (req, res) => {
+  try {
+    const content = await get("SELECT * FROM file_content WHERE fileId = ?", [req.resource.id]);
+    const status = content ? content.status : "pending";
+
+    if (status === "pending" || status === "processing")
+      return res.status(202).json({ fileId: req.resource.id, status });
+    if (!content.text)
+      return res.status(404).json({ fileId: req.resource.id, status, error: content.error || "No text available" });
+
+    res.json({ fileId: req.resource.id, status, text: content.text });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PNG thumbnail of the first page (PDF) or the image itself
+app.get("/files/:id/preview", requireAuth, ...visibleFile, async (req, res) => {
+  try {
+    const content = await get("SELECT * FROM file_content WHERE fileId = ?", [req.resource.id]);
+    const status = content ? content.status : "pending";
+
+    if (status === "pending" || status === "processing")
+      return res.status(202).json({ fileId: req.resource.id, status });
+    if (!content.thumbnailPath)
+      return res.status(404).json({ fileId: req.resource.id, status, error: content.error || "No preview available" });
+
+    res.sendFile(path.join(__dirname, content.thumbnailPath), {
+      headers: { "Cache-Control": "private, no-cache" },
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/files/:id", requireAuth, loadOwned("files", "uploader", "File not found"), async (req, res) => {
+  const row = req.resource;
+
+  try {
+    await run("DELETE FROM files WHERE id = ?", [row.id]);
+    previews.removeThumbnail(row.id);
+    await rewards.revoke("file", [row.id]);
+    realtime.publish("file.deleted", { subject: row.subject, data: { id: row.id } }, { groupId: row.groupId });
+
+    // Deduplicated uploads share one copy on disk
+    const stillUsed = await get("SELECT 1 FROM files WHERE filePath = ? LIMIT 1", [row.filePath]);
+    if (!stillUsed) {
+      const fullPath = path.join(__dirname, row.filePath);
+      if (fs.existsSync(fullPath)) fs.unlink(fullPath, () => {});
+    }
+
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// ======================================================
+// GET XP (CURRENT USER)
+// ======================================================
+app.get("/xp", requireAuth, async (req, res) => {
+  const username = req.user.username;
+
+  try {
+    const row = await get("SELECT * FROM users WHERE username = ?", [username]);
+    if (!row) return res.status(404).json({ error: "User not found" });
+
+    const streak = await streaks.streakInfo(username);
+    res.json({
+      ...(await getXP(username)),
+      streak: streak.current,
+      longestStreak: streak.longest,
+      streakFreezes: streak.freezes,
+      last_login: row.last_login
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// ======================================================
+// MANUAL XP (ADMIN ONLY)
+// ======================================================
+// Activity XP is granted server-side (see rewards.js); this is for admin
+// corrections and bonuses only.
+const MAX_MANUAL_XP = 1000;
+
+async function grantManualXP(req, res) {
+  const { amount, reason } = req.body;
+  const username = req.body.username || req.body.user || req.user.username;
+
+  if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_MANUAL_XP)
+    return res.status(400).json({
+      error: `amount must be a non-zero integer between -${MAX_MANUAL_XP} and ${MAX_MANUAL_XP}`
+    });
+
+  try {
+    const user = await get("SELECT id FROM users WHERE username = ?", [username]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const updated = await addXP(username, amount, {
+      reason: `manual: ${reason || "admin grant"} (by ${req.user.username})`,
+      sourceType: "manual",
+    });
+    res.json(updated);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+app.post("/xp/add", requireAuth, requireRole("admin"), grantManualXP);
+
+
+
+// ======================================================
+// REFLECTIONS (FINAL VERSION)
+// ======================================================
+
+// Create reflection
+app.post("/reflections", requireAuth, requireSubject, optionalGroup, async (req, res) => {
+  const { content, mood } = req.body;
+  const { id: subjectId, name: subject } = req.subject;
+  const { groupId } = req;
+  const username = req.user.username;
+
+  if (!content)
     return res.status(400).json({ error: "Missing fields" });
 
+  const normalized = moods.normalize(mood);
+  if (!normalized) return res.status(400).json({ error: moods.describe() });
+
   const createdAt = new Date().toISOString();
 
   db.run(
-    "INSERT INTO notes (subject, author, content, isPublic, createdAt) VALUES (?,?,?,?,?)",
-    [subject, author, content, isPublic ? 1 : 0, createdAt],
+    `INSERT INTO reflections (username, subject, subjectId, groupId, content, mood, moodScore, createdAt)
+     VALUES (?,?,?,?,?,?,?,?)`,
+    [username, subject, subjectId, groupId, content, normalized.mood || "", normalized.score, createdAt],
     async function (err) {
       if (err) return res.status(500).json({ error: err.message });
 
-      await addXP(author, 10);  // ⭐ HERE
+      let xp;
+      try {
+        xp = await rewards.reward("reflection", username, this.lastID);
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
 
       res.json({
         id: this.lastID,
+        success: true,
+        username,
         subject,
-        author,
+        subjectId,
+        groupId,
         content,
-        isPublic: !!isPublic,
+        mood: normalized.mood,
+        moodScore: normalized.score,
         createdAt,
+        xpAwarded: xp.awarded,
+        achievementsUnlocked: xp.achievements,
       });
     }
   );
 });
 
 
-app.delete("/notes/:id", (req, res) => {
-  const noteId = req.params.id;
+// Get reflections (only non-deleted, own only; ?groupId= for one group's)
+app.get("/reflections", requireAuth, (req, res) => {
+  const username = req.user.username;
+  const { groupId } = req.query;
 
-  db.run("DELETE FROM notes WHERE id = ?", [noteId], function (err) {
-    if (err) return res.status(500).json({ error: err.message });
+  db.all(
+    `SELECT * FROM reflections WHERE username = ? AND isDeleted = 0
+     ${groupId ? "AND groupId = ?" : ""} ORDER BY datetime(createdAt) DESC`,
+    groupId ? [username, groupId] : [username],
+    (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json(rows);
+    }
+  );
+});
 
-    db.run("DELETE FROM comments WHERE noteId = ?", [noteId]);
 
-    res.json({ success: true });
-  });
-});
+// GET /reflections/insights?username=&interval=week&from=&to=  (username
+// defaults to the caller; moderators may look at anyone's)
+app.get("/reflections/insights", requireAuth, async (req, res) => {
+  const username = req.query.username || req.user.username;
+  if (!canManage(req.user, username))
+    return res.status(403).json({ error: "Not allowed" });
 
-app.post("/notes/:id/comments", (req, res) => {
-  const noteId = req.params.id;
-  const { author, content } = req.body;
+  const options = insights.parseQuery(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
 
-  if (!author || !content)
-    return res.status(400).json({ error: "Missing fields" });
+  try {
+    res.json(await insights.insights(username, options));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  const createdAt = new Date().toISOString();
+
+// Soft delete
+app.post("/reflections/delete", requireAuth, (req, res) => {
+  const { id } = req.body;
+  if (!id) return res.status(400).json({ error: "Missing reflection id" });
 
   db.run(
-    "INSERT INTO comments (noteId, author, content, createdAt) VALUES (?,?,?,?)",
-    [noteId, author, content, createdAt],
-    function (err) {
+    "UPDATE reflections SET isDeleted = 1 WHERE id = ? AND username = ?",
+    [id, req.user.username],
+    async function (err) {
       if (err) return res.status(500).json({ error: err.message });
+      if (this.changes === 0)
+        return res.status(404).json({ error: "Reflection not found" });
 
-      res.json({
-        id: this.lastID,
-        noteId,
-        author,
-        content,
-        createdAt,
-      });
+      try {
+        await rewards.revoke("reflection", [Number(id)]);
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+      res.json({ success: true });
     }
   );
 });
 
+// Restore (Undo)
+app.post("/reflections/restore", requireAuth, (req, res) => {
+  const { id } = req.body;
+  if (!id) return res.status(400).json({ error: "Missing reflection id" });
 
-// ======================================================
-// FILES
-// ======================================================
-app.get("/files", (req, res) => {
-  const { subject } = req.query;
-  if (!subject) return res.json([]);
-
-  db.all(
-    "SELECT * FROM files WHERE subject = ? ORDER BY uploadedAt DESC",
-    [subject],
-    (err, rows) => {
+  db.run(
+    "UPDATE reflections SET isDeleted = 0 WHERE id = ? AND username = ?",
+    [id, req.user.username],
+    async function (err) {
       if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
+      if (this.changes === 0)
+        return res.status(404).json({ error: "Reflection not found" });
+
+      // Earned again, subject to the usual caps
+      let xp;
+      try {
+        xp = await rewards.reward("reflection", req.user.username, Number(id));
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+      res.json({ success: true, xpAwarded: xp.awarded, achievementsUnlocked: xp.achievements });
     }
   );
 });
 
-app.post("/upload", upload.single("file"), async (req, res) => {
-  const { subject, uploader } = req.body;
-  if (!req.file) return res.status(400).json({ error: "No file" });
 
-  const originalName = req.file.originalname;
-  const filePath = "/uploads/" + req.file.filename;
-  const uploadedAt = new Date().toISOString();
+
+// ======================================================
+// QUESTIONS
+// ======================================================
+const QUESTION_LIST = {
+  table: "questions",
+  sorts: { createdAt: "createdAt", author: "COALESCE(createdBy, '')" },
+  author: "createdBy",
+  date: "createdAt",
+};
+
+// Loads req.resource, hiding questions of groups the caller isn't in
+function visibleQuestion(param = "id") {
+  return [loadRow("questions", "Question not found", param), inVisibleGroup("Question not found")];
+}
+
+// Answer keys and suggested answers are only shown to the question's
+// author and moderators
+function formatQuestion(row, req) {
+  const { choices, answerKey, suggested, ...question } = row;
+  const withKey = canManage(req.user, row.createdBy);
+  return { ...question, ...(withKey && { suggested }), ...questionTypes.describe(row, withKey) };
+}
+
+// All questions the caller can see (?subject= to narrow), or a study
+// group's (GET /groups/:id/questions)
+function questionFilter(req) {
+  const { where, params } = groupScope(req);
+  if (req.query.subject) {
+    where.push("subject = ?");
+    params.push(req.query.subject);
+  }
+  return { where, params };
+}
+
+app.get("/questions", listRoute(QUESTION_LIST, questionFilter, formatQuestion));
+
+// POST /questions { subject, text, type, choices, correct, tolerance, suggested, groupId }
+// (see questionTypes.js for what each type expects)
+app.post("/questions", requireAuth, requireSubject, optionalGroup, async (req, res) => {
+  const { text, suggested } = req.body;
+  const { id: subjectId, name: subject } = req.subject;
+  const { groupId } = req;
+  const createdBy = req.user.username;
+  if (!text)
+    return res.status(400).json({ error: "Missing fields" });
+
+  const definition = questionTypes.parseDefinition(req.body);
+  if (definition.error) return res.status(400).json({ error: definition.error });
+  const { type, choices, answerKey } = definition;
+
+  const createdAt = new Date().toISOString();
 
   db.run(
-    "INSERT INTO files (subject, originalName, filePath, uploader, uploadedAt) VALUES (?,?,?,?,?)",
-    [subject, originalName, filePath, uploader || "Unknown", uploadedAt],
+    `INSERT INTO questions
+     (subject, subjectId, groupId, text, suggested, type, choices, answerKey, createdBy, createdAt)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`,
+    [subject, subjectId, groupId, text, suggested || "", type, choices, answerKey, createdBy, createdAt],
     async function (err) {
       if (err) return res.status(500).json({ error: err.message });
 
-      // ⭐ SAFE: Now we can await here because the outer function is async
-      await addXP(uploader, 20);
+      let xp;
+      try {
+        xp = await rewards.reward("question", createdBy, this.lastID);
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
 
       res.json({
         id: this.lastID,
         subject,
-        originalName,
-        filePath,
-        uploader: uploader || "Unknown",
-        uploadedAt,
+        subjectId,
+        groupId,
+        text,
+        suggested: suggested || "",
+        ...questionTypes.describe({ type, choices, answerKey }, true),
+        createdBy,
+        createdAt,
+        xpAwarded: xp.awarded,
+        achievementsUnlocked: xp.achievements,
       });
     }
   );
 });
 
-app.delete("/files/:id", (req, res) => {
-  const fileId = req.params.id;
-  const user = req.query.user || "";
 
-  db.get("SELECT * FROM files WHERE id = ?", [fileId], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!row) return res.status(404).json({ error: "File not found" });
+app.delete("/questions/:id", requireAuth, loadOwned("questions", "createdBy", "Question not found"), async (req, res) => {
+  const qid = req.resource.id;
 
-    if (row.uploader !== user && user !== "admin") {
-      return res.status(403).json({ error: "Not allowed" });
+  try {
+    const answers = await all("SELECT id FROM answers WHERE questionId = ?", [qid]);
+    await revisions.removeFor("answer", answers.map((a) => a.id));
+    await revisions.removeFor("question", [qid]);
+
+    await run("DELETE FROM answers WHERE questionId = ?", [qid]);
+    await run("DELETE FROM grades WHERE questionId = ?", [qid]);
+    await run("DELETE FROM questions WHERE id = ?", [qid]);
+    await rewards.revoke("question", [qid]);
+    await rewards.revoke("answer", answers.map((a) => a.id));
+    await rewards.revoke("correct_answer", answers.map((a) => a.id));
+    for (const a of answers) questionEvent("answer.deleted", req.resource, { id: a.id, questionId: qid });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// ======================================================
+// ANSWERS
+// ======================================================
+
+// Pushes an event about an answer or grade to those who can see `question`
+function questionEvent(type, question, data) {
+  realtime.publish(
+    type,
+    { subject: question.subject, questionId: question.id, data },
+    { groupId: question.groupId }
+  );
+}
+const ANSWER_LIST = {
+  table: "answers",
+  sorts: {
+    createdAt: "createdAt",
+    author: "COALESCE(answeredBy, '')",
+    // Current grade; ungraded answers sort below wrong ones
+    score: `COALESCE((SELECT score FROM grades g
+             WHERE g.answerId = answers.id AND g.supersededAt IS NULL), -1)`,
+  },
+  author: "answeredBy",
+  date: "createdAt",
+};
+
+// Answers to questions in study groups the caller isn't in are left out,
+// and so are other users' answers to objective questions
+app.get(
+  "/answers",
+  listRoute(ANSWER_LIST, (req) => {
+    const visible = groupVisibleSql(req.user && req.user.username, "q.groupId");
+    const where = [`answers.questionId IN (SELECT q.id FROM questions q WHERE ${visible.sql})`];
+    const params = [...visible.params];
+    answerScope(req, "answers.id", where, params);
+    if (req.query.questionId) {
+      where.push("questionId = ?");
+      params.push(req.query.questionId);
     }
+    return { where, params };
+  })
+);
+
+// POST /answers { questionId, answer }. `answer` is free text, a choice
+// key, a list of keys, a boolean or a number depending on the question's
+// type (`answerText` is still accepted). Objective types are graded on the
+// spot and can be answered once (not after a quiz revealed the key); free
+// text waits for manual grading. The question's author can answer it too,
+// but that answer is never graded.
+app.post("/answers", requireAuth, async (req, res) => {
+  const { questionId } = req.body;
+  const answer = req.body.answer !== undefined ? req.body.answer : req.body.answerText;
+  const answeredBy = req.user.username;
+
+  if (!questionId || answer === undefined || answer === null || answer === "")
+    return res.status(400).json({ error: "Missing fields" });
 
-    db.run("DELETE FROM files WHERE id = ?", [fileId], (err2) => {
-      if (err2) return res.status(500).json({ error: err2.message });
+  try {
+    const question = await get("SELECT * FROM questions WHERE id = ?", [questionId]);
+    if (!question || !(await canViewGroup(question.groupId, answeredBy)))
+      return res.status(404).json({ error: "Question not found" });
+
+    const parsed = questionTypes.parseResponse(question, answer);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const objective = questionTypes.isObjective(question.type);
+    if (objective) {
+      const earlier = await get(
+        "SELECT id FROM answers WHERE questionId = ? AND answeredBy = ? LIMIT 1",
+        [question.id, answeredBy]
+      );
+      if (earlier) return res.status(409).json({ error: "Question already answered" });
 
-      const fullPath = path.join(__dirname, row.filePath);
-      if (fs.existsSync(fullPath)) fs.unlink(fullPath, () => {});
+      // A submitted quiz showed the answer key; answering now would be free XP
+      if (await quizzes.keySeen(answeredBy, question.id))
+        return res.status(409).json({
+          error: "You have already seen this question's answer in a quiz"
+        });
+    }
 
-      res.json({ success: true });
+    const createdAt = new Date().toISOString();
+    const { lastID } = await run(
+      "INSERT INTO answers (questionId, answerText, answeredBy, createdAt) VALUES (?,?,?,?)",
+      [question.id, parsed.answerText, answeredBy, createdAt]
+    );
+
+    questionEvent("answer.created", question, {
+      id: lastID,
+      questionId: question.id,
+      answerText: parsed.answerText,
+      answeredBy,
+      createdAt,
     });
-  });
+    if (question.createdBy && question.createdBy !== answeredBy)
+      await notifications.notify(
+        question.createdBy,
+        "answer",
+        `${answeredBy} answered your question in ${question.subject}`,
+        { questionId: question.id, answerId: lastID }
+      );
+
+    let grade = null;
+    let xp = await rewards.reward("answer", answeredBy, lastID);
+    let unlocked = xp.achievements;
+
+    const ownQuestion = answeredBy === question.createdBy;
+    if (objective && !ownQuestion) {
+      const isCorrect = questionTypes.grade(question, parsed.value);
+      const answer = { id: lastID, questionId: question.id, answeredBy };
+      const result = await gradeAnswer(answer, { isCorrect, score: isCorrect ? 1 : 0 }, null, true);
+
+      grade = grading.format(result.grade);
+      xp = { ...result.xp, awarded: xp.awarded + result.xp.awarded };
+      unlocked = [...unlocked, ...result.achievements];
+    }
+
+    res.json({
+      id: lastID,
+      questionId: question.id,
+      answerText: parsed.answerText,
+      answeredBy,
+      createdAt,
+      grade,
+      pendingReview: !objective && !ownQuestion,
+      xpAwarded: xp.awarded,
+      achievementsUnlocked: unlocked,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/answers/:id", requireAuth, loadOwned("answers", "answeredBy", "Answer not found"), async (req, res) => {
+  const answerId = req.resource.id;
+
+  try {
+    await revisions.removeFor("answer", [answerId]);
+    await run("DELETE FROM grades WHERE answerId = ?", [answerId]);
+    await run("DELETE FROM answers WHERE id = ?", [answerId]);
+    await rewards.revoke("answer", [answerId]);
+    await rewards.revoke("correct_answer", [answerId]);
+
+    const question = await get("SELECT * FROM questions WHERE id = ?", [req.resource.questionId]);
+    if (question) questionEvent("answer.deleted", question, { id: answerId, questionId: question.id });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 
+
 // ======================================================
-// XP SYSTEM — FINAL UNIVERSAL VERSION
+// GRADES
 // ======================================================
+const GRADE_LIST = {
+  table: "grades",
+  sorts: {
+    createdAt: "createdAt",
+    author: "COALESCE(gradedBy, '')",
+    score: "COALESCE(score, isCorrect, 0)",
+  },
+  author: "gradedBy",
+  date: "createdAt",
+};
+
+// Current grades; ?history=true adds superseded ones (the regrade trail).
+// Grades on questions in study groups the caller isn't in are left out, as
+// are grades of other users' answers to objective questions.
+app.get(
+  "/grades",
+  listRoute(
+    GRADE_LIST,
+    (req) => {
+      const visible = groupVisibleSql(req.user && req.user.username, "q.groupId");
+      const where = [`grades.questionId IN (SELECT q.id FROM questions q WHERE ${visible.sql})`];
+      const params = [...visible.params];
+      answerScope(req, "grades.answerId", where, params);
+      if (req.query.history !== "true") where.push("supersededAt IS NULL");
+      if (req.query.answerId) {
+        where.push("answerId = ?");
+        params.push(req.query.answerId);
+      }
+      return { where, params };
+    },
+    (row) => grading.format(row)
+  )
+);
+
+// Records a grade and everything that follows from it for the answerer:
+// XP scaled by the score (adjusted on regrade), review scheduling and
+// achievements. Returns { grade, previous, xp, achievements }.
+async function gradeAnswer(answer, grade, gradedBy, isAuto = false) {
+  const { grade: row, previous } = await grading.record(answer, grade, gradedBy, { isAuto });
+
+  let xp = { ...(await getXP(answer.answeredBy)), awarded: 0, achievements: [] };
+  if (!previous || previous.score !== row.score) {
+    await rewards.revoke("correct_answer", [answer.id]);
+    xp = await rewards.reward("correct_answer", answer.answeredBy, answer.id, row.score);
+  }
 
-// XP needed for next level
-function xpNeededFor(level) {
-  return 50 + (level * 25);   // Level 1→2 = 75, then 100, 125, 150...
+  // Only the first grade is a review; a regrade corrects, it isn't another recall
+  if (!previous) await review.recordGrade(answer.answeredBy, answer.questionId, row.score, "grade");
+  const unlocked = [...xp.achievements, ...(await achievements.evaluate(answer.answeredBy, "grade"))];
+
+  const question = await get("SELECT * FROM questions WHERE id = ?", [answer.questionId]);
+  if (question)
+    questionEvent("grade.created", question, { ...grading.format(row), answeredBy: answer.answeredBy });
+
+  return { grade: row, previous, xp, achievements: unlocked };
 }
 
-// Unified XP Function (always used)
-function addXP(username, amount) {
-  return new Promise((resolve, reject) => {
-    db.get("SELECT * FROM users WHERE username = ?", [username], (err, user) => {
-      if (err) return reject(err);
+// Ungraded free-text answers the grader may grade, oldest first.
+// ?grader= defaults to the caller; moderators may check anyone's queue.
+app.get("/grades/pending", requireAuth, async (req, res) => {
+  const grader = req.query.grader || req.user.username;
+  if (grader !== req.user.username && !hasRole(req.user, "moderator"))
+    return res.status(403).json({ error: "Not allowed" });
+
+  try {
+    const { where, params } = await grading.pendingFilter(grader, req.query.subject);
+    const page = await paginate(ANSWER_LIST, { order: "asc", ...req.query }, where, params);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    const ids = [...new Set(page.items.map((a) => a.questionId))];
+    const questions = ids.length
+      ? await all(
+          `SELECT id, subject, text, suggested, createdBy FROM questions
+           WHERE id IN (${ids.map(() => "?").join(",")})`,
+          ids
+        )
+      : [];
+    const byId = new Map(questions.map((q) => [q.id, q]));
 
-      // Auto-create if missing
-      if (!user) {
-        const level = 1;
-        const xp = amount;
-        const createdAt = new Date().toISOString();
+    res.json({
+      ...page,
+      items: page.items.map((a) => ({ ...a, question: byId.get(a.questionId) || null })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-        db.run(
-          "INSERT INTO users (username, xp, level, streak, last_login) VALUES (?,?,?,?,?)",
-          [username, xp, level, 0, createdAt],
-          (err2) => {
-            if (err2) return reject(err2);
-            return resolve({ xp, level });
-          }
-        );
-        return;
-      }
+// POST /grades { answerId, score | rubric | isCorrect, feedback }
+// Regrading keeps the earlier grade as history.
+app.post("/grades", requireAuth, async (req, res) => {
+  const { answerId, questionId } = req.body;
+  const gradedBy = req.user.username;
 
-      // Existing user
-      let xp = user.xp + amount;
-      let level = user.level;
+  if (!answerId)
+    return res.status(400).json({ error: "Missing fields" });
 
-      // Level-up loop with carryover
-      while (xp >= xpNeededFor(level)) {
-        xp -= xpNeededFor(level);
-        level++;
-      }
+  const parsed = grading.parseGrade(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-      db.run(
-        "UPDATE users SET xp = ?, level = ? WHERE username = ?",
-        [xp, level, username],
-        (err3) => {
-          if (err3) return reject(err3);
-          resolve({ xp, level });
-        }
-      );
-    });
-  });
-}
+  try {
+    // 🔒 STEP 1 — Check that the answer and its question exist
+    const answer = await get("SELECT * FROM answers WHERE id = ?", [answerId]);
+    if (!answer) return res.status(404).json({ error: "Answer not found" });
+    if (questionId && String(questionId) !== String(answer.questionId))
+      return res.status(400).json({ error: "Answer does not belong to that question" });
 
+    const question = await get("SELECT * FROM questions WHERE id = ?", [answer.questionId]);
+    if (!question) return res.status(404).json({ error: "Question not found" });
 
-// ======================================================
-// GET XP (AUTO-CREATE USER)
-// ======================================================
-app.get("/xp", (req, res) => {
-  const { username } = req.query;
-  if (!username) return res.status(400).json({ error: "username required" });
+    // 🔥 STEP 2 — Only the question creator, its graders or a moderator can grade
+    if (!(await grading.canGrade(req.user, question))) {
+      return res.status(403).json({
+        error: "Forbidden: Only the question creator or its graders can grade answers"
+      });
+    }
 
-  db.get("SELECT * FROM users WHERE username = ?", [username], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
+    // Grading yourself would earn correct-answer XP at will
+    if (answer.answeredBy === gradedBy || answer.answeredBy === question.createdBy) {
+      return res.status(403).json({
+        error: "Forbidden: Answers by the grader or the question creator can't be graded"
+      });
+    }
 
-    // Auto-create
-    if (!row) {
-      const createdAt = new Date().toISOString();
-      db.run(
-        "INSERT INTO users (username, password, xp, level, last_login) VALUES (?, ?, ?, ?, ?)",
-        [username, "", 0, 1, createdAt],
-        () => {
-          return res.json({
-            username,
-            xp: 0,
-            level: 1,
-            streak: 0,
-            last_login: createdAt,
-            autoCreated: true
-          });
-        }
+    // Objective types are graded automatically against their answer key
+    if (questionTypes.isObjective(question.type)) {
+      return res.status(409).json({ error: "Answers to this question are graded automatically" });
+    }
+
+    // 🔄 STEP 3 — Record the grade (the previous one stays as history)
+    const result = await gradeAnswer(answer, parsed, gradedBy);
+
+    if (answer.answeredBy && answer.answeredBy !== gradedBy) {
+      const verdict = result.grade.isCorrect
+        ? "marked correct"
+        : `graded ${Math.round(result.grade.score * 100)}%`;
+      await notifications.notify(
+        answer.answeredBy,
+        "grade",
+        `${gradedBy} ${result.previous ? "regraded" : "graded"} your answer: ${verdict}`,
+        { answerId: answer.id, questionId: question.id, gradeId: result.grade.id }
       );
-      return;
     }
 
     res.json({
-      username: row.username,
-      xp: row.xp || 0,
-      level: row.level || 1,
-      streak: row.streak || 0,
-      last_login: row.last_login
+      ...grading.format(result.grade),
+      regraded: !!result.previous,
+      xpAwarded: result.xp.awarded,
     });
-  });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+// Extra graders for a question, managed by its author (or a moderator)
+app.get(
+  "/questions/:id/graders",
+  requireAuth,
+  loadOwned("questions", "createdBy", "Question not found"),
+  (req, res) => {
+    db.all(
+      "SELECT username, addedBy, createdAt FROM question_graders WHERE questionId = ? ORDER BY username",
+      [req.resource.id],
+      (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows);
+      }
+    );
+  }
+);
+
+app.post(
+  "/questions/:id/graders",
+  requireAuth,
+  loadOwned("questions", "createdBy", "Question not found"),
+  async (req, res) => {
+    const { username } = req.body;
+    if (!username) return res.status(400).json({ error: "Missing fields" });
+
+    try {
+      const user = await get("SELECT username FROM users WHERE username = ?", [username]);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const createdAt = new Date().toISOString();
+      await run(
+        "INSERT OR IGNORE INTO question_graders (questionId, username, addedBy, createdAt) VALUES (?,?,?,?)",
+        [req.resource.id, username, req.user.username, createdAt]
+      );
+      res.status(201).json({ questionId: req.resource.id, username, addedBy: req.user.username });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+app.delete(
+  "/questions/:id/graders/:username",
+  requireAuth,
+  loadOwned("questions", "createdBy", "Question not found"),
+  (req, res) => {
+    db.run(
+      "DELETE FROM question_graders WHERE questionId = ? AND username = ?",
+      [req.resource.id, req.params.username],
+      function (err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: "Grader not found" });
+        res.json({ success: true });
+      }
+    );
+  }
+);
+
+
 
 // ======================================================
-// ADD XP ENDPOINT (UI → backend)
+// QUIZZES
 // ======================================================
-app.post("/xp/add", async (req, res) => {
-  const { username, amount } = req.body;
+const QUIZ_LIST = {
+  table: "quizzes",
+  sorts: { createdAt: "createdAt", score: "COALESCE(CAST(score AS REAL) / total, -1)" },
+  date: "createdAt",
+};
+
+// Own attempts, newest first (questions are fetched per quiz)
+app.get(
+  "/quizzes",
+  requireAuth,
+  listRoute(
+    QUIZ_LIST,
+    (req) => ({ where: ["username = ?"], params: [req.user.username] }),
+    (row) => quizzes.summarize(row)
+  )
+);
 
-  if (!username || !amount)
-    return res.status(400).json({ error: "Missing fields" });
+// POST /quizzes { subjects: [...], count: 10, timeLimitSeconds: 600 }
+app.post("/quizzes", requireAuth, async (req, res) => {
+  try {
+    const current = (await subjects.list()).map((s) => s.name);
+    const options = quizzes.parseOptions(req.body, current);
+    if (options.error) return res.status(400).json({ error: options.error });
 
+    const id = await quizzes.create(req.user.username, options);
+    if (!id)
+      return res.status(422).json({ error: "No questions with suggested answers in those subjects" });
+
+    const quiz = await get("SELECT * FROM quizzes WHERE id = ?", [id]);
+    res.status(201).json(await quizzes.view(quiz));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Per-subject accuracy over the caller's submitted quizzes
+app.get("/quizzes/stats", requireAuth, async (req, res) => {
   try {
-    const updated = await addXP(username, amount);
-    res.json(updated);
+    res.json(await quizzes.subjectStats(req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/quizzes/:id", requireAuth, loadOwned("quizzes", "username", "Quiz not found"), async (req, res) => {
+  try {
+    res.json(await quizzes.view(req.resource));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /quizzes/:id/submit { answers: { "<questionId>": "answer", ... } }
+// Late submissions of timed quizzes are scored but earn no XP.
+app.post("/quizzes/:id/submit", requireAuth, loadRow("quizzes", "Quiz not found"), async (req, res) => {
+  const quiz = req.resource;
+  if (quiz.username !== req.user.username)
+    return res.status(403).json({ error: "Not allowed" });
+
+  try {
+    const scored = await quizzes.submit(quiz, req.body.answers);
+    if (!scored) return res.status(409).json({ error: "Quiz already submitted" });
+
+    const share = scored.late ? 0 : scored.score / scored.total;
+    const xp = await rewards.reward("quiz", quiz.username, quiz.id, share);
+
+    res.json({
+      ...(await quizzes.view(scored)),
+      xpAwarded: xp.awarded,
+      achievementsUnlocked: xp.achievements,
+    });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -466,292 +1934,485 @@ app.post("/xp/add", async (req, res) => {
 
 
 // ======================================================
-// REFLECTIONS (FINAL VERSION)
+// REVIEW (SPACED REPETITION)
 // ======================================================
 
-// Create reflection
-app.post("/reflections", async (req, res) => {
-  const { username, subject, content, mood } = req.body;
+// GET /review/due?username=&subject=  (username defaults to the caller;
+// moderators may look at anyone's)
+app.get("/review/due", requireAuth, async (req, res) => {
+  const username = req.query.username || req.user.username;
+  if (!canManage(req.user, username))
+    return res.status(403).json({ error: "Not allowed" });
 
-  if (!username || !subject || !content)
-    return res.status(400).json({ error: "Missing fields" });
+  try {
+    res.json(await review.due(username, { subject: req.query.subject }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  const createdAt = new Date().toISOString();
+// POST /review/:questionId { quality: 0-5 } — self-rated recall
+app.post("/review/:questionId", requireAuth, ...visibleQuestion("questionId"), async (req, res) => {
+  const { quality } = req.body;
+  if (!review.isQuality(quality))
+    return res.status(400).json({ error: "quality must be an integer from 0 to 5" });
 
-  db.run(
-    "INSERT INTO reflections (username, subject, content, mood, createdAt) VALUES (?,?,?,?,?)",
-    [username, subject, content, mood || "", createdAt],
-    async function (err) {
-      if (err) return res.status(500).json({ error: err.message });
+  try {
+    const card = await review.record(req.user.username, req.params.questionId, quality, "self");
+    if (!card) return res.status(404).json({ error: "Question not found" });
+    res.json(card);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-      await addXP(username, 15);
 
-      res.json({
-        id: this.lastID,
-        success: true,
-        username,
-        subject,
-        content,
-        mood,
-        createdAt
-      });
-    }
-  );
-});
 
+// ======================================================
+// EDITING & REVISIONS
+// ======================================================
 
-// Get reflections (only non-deleted)
-app.get("/reflections", (req, res) => {
-  const { username } = req.query;
+// Text fields that may not be edited down to nothing
+const REQUIRED_TEXT = ["subject", "content", "text", "answerText"];
 
-  if (!username)
-    return res.status(400).json({ error: "username required" });
+// Builds the set of changes for `type` from the request body, or returns
+// { error } for invalid values. Unknown fields are ignored.
+function pickEdits(type, body) {
+  const changes = {};
 
-  db.all(
-    "SELECT * FROM reflections WHERE username = ? AND isDeleted = 0 ORDER BY datetime(createdAt) DESC",
-    [username],
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
+  for (const field of revisions.TYPES[type].fields) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+
+    if (field === "isPublic") {
+      changes.isPublic = value ? 1 : 0;
+      continue;
     }
-  );
-});
+    if (typeof value !== "string")
+      return { error: `${field} must be a string` };
+    if (REQUIRED_TEXT.includes(field) && !value.trim())
+      return { error: `${field} cannot be empty` };
 
+    changes[field] = value;
+  }
 
+  if (Object.keys(changes).length === 0) return { error: "Nothing to update" };
+  return { changes };
+}
 
-// Soft delete
-app.post("/reflections/delete", (req, res) => {
-  const { id } = req.body;
-  if (!id) return res.status(400).json({ error: "Missing reflection id" });
+// The same shape as everywhere else: notes expose isPublic as a boolean,
+// questions go through formatQuestion
+function formatEdited(type, row, req) {
+  if (type === "note") return { ...row, isPublic: row.isPublic === 1 };
+  if (type === "question") return formatQuestion(row, req);
+  return row;
+}
 
-  db.run(
-    "UPDATE reflections SET isDeleted = 1 WHERE id = ?",
-    [id],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
+function editRoute(type) {
+  return async (req, res) => {
+    const { changes, error } = pickEdits(type, req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      // Moving to another subject: it must be a current one (the
+      // subjectId follows the name, see migrations/019_subjects.js)
+      if (changes.subject !== undefined) {
+        const resolved = await subjects.resolve({ subject: changes.subject });
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        changes.subject = resolved.subject.name;
+      }
+
+      const row = await revisions.applyEdit(type, req.resource, changes, req.user.username);
+      res.json(formatEdited(type, row, req));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
     }
-  );
-});
+  };
+}
 
-// Restore (Undo)
-app.post("/reflections/restore", (req, res) => {
-  const { id } = req.body;
-  if (!id) return res.status(400).json({ error: "Missing reflection id" });
+function historyRoute(type) {
+  const { owner } = revisions.TYPES[type];
+  return async (req, res) => {
+    try {
+      const showHidden = canManage(req.user, req.resource[owner]);
+      res.json(await revisions.history(type, req.resource, showHidden));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  };
+}
 
-  db.run(
-    "UPDATE reflections SET isDeleted = 0 WHERE id = ?",
-    [id],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
+// Reverting saves the current state as a new revision, so it can be undone
+function revertRoute(type) {
+  return async (req, res) => {
+    try {
+      const data = await revisions.findRevision(type, req.resource.id, req.params.version);
+      if (!data) return res.status(404).json({ error: "Revision not found" });
+
+      const row = await revisions.applyEdit(type, req.resource, data, req.user.username);
+      res.json(formatEdited(type, row, req));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
     }
+  };
+}
+
+// [type, path, middleware that loads req.resource, and the same for
+// editing and reverting when that differs]
+const EDITABLE_ROUTES = [
+  [
+    "note",
+    "/notes/:id",
+    [visibleNote, loadRow("notes", "Note not found")],
+    [managedNote, loadRow("notes", "Note not found")],
+  ],
+  [
+    "comment",
+    "/notes/:id/comments/:commentId",
+    [visibleNote, loadRow("comments", "Comment not found", "commentId"), commentOfNote],
+    [managedNote, loadRow("comments", "Comment not found", "commentId"), commentOfNote],
+  ],
+  ["question", "/questions/:id", visibleQuestion()],
+  [
+    "answer",
+    "/answers/:id",
+    [loadRow("answers", "Answer not found"), inVisibleGroup("Answer not found", groupOfAnswer)],
+  ],
+];
+
+for (const [type, route, load, manage = load] of EDITABLE_ROUTES) {
+  const { owner } = revisions.TYPES[type];
+  const ownerOrModerator = (req, res, next) => {
+    if (!canManage(req.user, req.resource[owner]))
+      return res.status(403).json({ error: "Not allowed" });
+    next();
+  };
+
+  app.patch(route, requireAuth, ...manage, ownerOrModerator, editRoute(type));
+  app.get(`${route}/revisions`, ...load, historyRoute(type));
+  app.post(
+    `${route}/revisions/:version/revert`,
+    requireAuth,
+    requireRole("admin"),
+    ...manage,
+    revertRoute(type)
   );
-});
+}
 
 
 
 // ======================================================
-// QUESTIONS
+// SEARCH
 // ======================================================
-app.get("/questions", (req, res) => {
-  const { subject } = req.query;
-  const params = [];
-  let sql = "SELECT * FROM questions";
 
-  if (subject) {
-    sql += " WHERE subject = ?";
-    params.push(subject);
-  }
+// GET /search?q=rizal exile&subject=...&type=note,question&limit=20
+// Anonymous callers only see public content.
+app.get("/search", async (req, res) => {
+  const { q, subject, type, limit } = req.query;
+  if (!q || !q.trim()) return res.status(400).json({ error: "q required" });
 
-  sql += " ORDER BY datetime(createdAt) DESC";
+  const types = type ? String(type).split(",").map((t) => t.trim()) : [];
+  const unknown = types.filter((t) => !search.TYPES.includes(t));
+  if (unknown.length > 0)
+    return res.status(400).json({ error: `Unknown type: ${unknown.join(", ")}` });
 
-  db.all(sql, params, (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
-  });
+  try {
+    const results = await search.search({
+      q,
+      subject,
+      types,
+      username: req.user ? req.user.username : null,
+      limit,
+    });
+    res.json({ query: q, results });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-app.post("/questions", async (req, res) => {
-  const { subject, text, suggested, createdBy } = req.body;
-  if (!subject || !text || !createdBy)
-    return res.status(400).json({ error: "Missing fields" });
 
-  const createdAt = new Date().toISOString();
 
-  db.run(
-    "INSERT INTO questions (subject, text, suggested, createdBy, createdAt) VALUES (?,?,?,?,?)",
-    [subject, text, suggested || "", createdBy, createdAt],
-    async function (err) {
-      if (err) return res.status(500).json({ error: err.message });
+// ======================================================
+// LEADERBOARD
+// ======================================================
 
-      // ⭐ XP reward works correctly now
-      await addXP(createdBy, 8);
+// GET /leaderboard?scope=week&metric=xp&subject=Ethics&limit=10
+// Signed-in callers also get their own rank in `me`.
+app.get("/leaderboard", async (req, res) => {
+  const options = leaderboard.parseQuery(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
 
-      res.json({
-        id: this.lastID,
-        subject,
-        text,
-        suggested: suggested || "",
-        createdBy,
-        createdAt,
-      });
-    }
-  );
+  try {
+    res.json(await leaderboard.leaderboard(options, req.user && req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+// Hide from / return to public rankings
+function setLeaderboardOptOut(optOut) {
+  return (req, res) => {
+    db.run(
+      "UPDATE users SET leaderboardOptOut = ? WHERE id = ?",
+      [optOut ? 1 : 0, req.user.id],
+      (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ username: req.user.username, optedOut: optOut });
+      }
+    );
+  };
+}
 
-app.delete("/questions/:id", (req, res) => {
-  const qid = req.params.id;
+app.post("/leaderboard/opt-out", requireAuth, setLeaderboardOptOut(true));
+app.delete("/leaderboard/opt-out", requireAuth, setLeaderboardOptOut(false));
 
-  db.run("DELETE FROM answers WHERE questionId = ?", [qid], (err1) => {
-    if (err1) return res.status(500).json({ error: err1.message });
 
-    db.run("DELETE FROM grades WHERE questionId = ?", [qid], (err2) => {
-      if (err2) return res.status(500).json({ error: err2.message });
+// ======================================================
+// STUDY GROUPS
+// ======================================================
 
-      db.run("DELETE FROM questions WHERE id = ?", [qid], (err3) => {
-        if (err3) return res.status(500).json({ error: err3.message });
+// Loads the group in req.params.id into req.group and the caller's
+// membership into req.membership. Non-members get a 404, members below
+// `role` a 403. With `adminOverride`, site admins pass as well (to manage a
+// group, not to read its content).
+function groupRole(role, { adminOverride = false } = {}) {
+  const load = loadRow("groups", "Group not found");
+  return (req, res, next) => {
+    load(req, res, async () => {
+      try {
+        req.group = req.resource;
+        req.membership = await groups.membership(req.group.id, req.user.username);
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
 
-        res.json({ success: true });
-      });
+      if (groups.hasGroupRole(req.membership, role)) return next();
+      if (adminOverride && hasRole(req.user, "admin")) return next();
+      if (!req.membership) return res.status(404).json({ error: "Group not found" });
+      res.status(403).json({ error: "Not allowed" });
     });
-  });
-});
-
-
-// ======================================================
-// ANSWERS
-// ======================================================
-app.get("/answers", (req, res) => {
-  const { questionId } = req.query;
+  };
+}
 
-  const params = [];
-  let sql = "SELECT * FROM answers";
+// The invite code is for group moderators and owners (and admins)
+function formatGroup(req, group) {
+  const canInvite = groups.hasGroupRole(req.membership, "moderator") || hasRole(req.user, "admin");
+  return {
+    ...groups.format(group, canInvite),
+    role: req.membership ? req.membership.role : null,
+  };
+}
 
-  if (questionId) {
-    sql += " WHERE questionId = ?";
-    params.push(questionId);
+// Groups the caller belongs to
+app.get("/groups", requireAuth, async (req, res) => {
+  try {
+    const rows = await groups.mine(req.user.username);
+    res.json(rows.map((g) => groups.format(g, groups.hasGroupRole(g, "moderator"))));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
 
-  sql += " ORDER BY datetime(createdAt) DESC";
+// POST /groups { name, description } — the creator becomes its owner
+app.post("/groups", requireAuth, async (req, res) => {
+  const { fields, error } = groups.parse(req.body, { requireName: true });
+  if (error) return res.status(400).json({ error });
 
-  db.all(sql, params, (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
-  });
+  try {
+    const group = await groups.create(req.user.username, fields);
+    res.status(201).json({ ...group, role: "owner" });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-app.post("/answers", async (req, res) => {
-  const { questionId, answerText, answeredBy } = req.body;
+// POST /groups/join { inviteCode }
+app.post("/groups/join", requireAuth, async (req, res) => {
+  if (!req.body.inviteCode) return res.status(400).json({ error: "inviteCode is required" });
 
-  if (!questionId || !answerText || !answeredBy)
-    return res.status(400).json({ error: "Missing fields" });
+  try {
+    const result = await groups.join(req.body.inviteCode, req.user.username);
+    if (!result) return res.status(404).json({ error: "Invalid invite code" });
 
-  const createdAt = new Date().toISOString();
+    req.membership = result.membership;
+    res.json({ ...formatGroup(req, result.group), joined: result.joined });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  db.run(
-    "INSERT INTO answers (questionId, answerText, answeredBy, createdAt) VALUES (?,?,?,?)",
-    [questionId, answerText, answeredBy, createdAt],
-    async function (err) {
-      if (err) return res.status(500).json({ error: err.message });
+app.get("/groups/:id", requireAuth, groupRole("member", { adminOverride: true }), async (req, res) => {
+  try {
+    res.json({ ...formatGroup(req, req.group), members: await groups.members(req.group.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-      // ⭐ Give XP for answering
-      await addXP(answeredBy, 5);
+// PATCH /groups/:id { name, description }
+app.patch("/groups/:id", requireAuth, groupRole("owner", { adminOverride: true }), async (req, res) => {
+  const { fields, error } = groups.parse(req.body);
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(fields).length === 0) return res.status(400).json({ error: "Nothing to update" });
 
-      res.json({
-        id: this.lastID,
-        questionId,
-        answerText,
-        answeredBy,
-        createdAt,
-      });
-    }
-  );
+  try {
+    res.json(formatGroup(req, await groups.update(req.group, fields)));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+// Only groups nothing was posted in can be deleted
+app.delete("/groups/:id", requireAuth, groupRole("owner", { adminOverride: true }), async (req, res) => {
+  try {
+    if (!(await groups.remove(req.group)))
+      return res.status(409).json({
+        error: "Group still has content",
+        usage: await groups.usage(req.group.id),
+      });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
+// New invite code; the old one stops working
+app.post(
+  "/groups/:id/invite-code",
+  requireAuth,
+  groupRole("moderator", { adminOverride: true }),
+  async (req, res) => {
+    try {
+      res.json(formatGroup(req, await groups.regenerateInviteCode(req.group)));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
 
-// ======================================================
-// GRADES
-// ======================================================
-app.get("/grades", (req, res) => {
-  const { answerId } = req.query;
+app.post("/groups/:id/leave", requireAuth, groupRole("member"), async (req, res) => {
+  try {
+    if (!(await groups.removeMember(req.group, req.membership)))
+      return res.status(409).json({ error: "Make another member an owner before leaving" });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  const params = [];
-  let sql = "SELECT * FROM grades";
+// Loads the group member in req.params.username into req.member
+async function loadMember(req, res, next) {
+  try {
+    req.member = await groups.membership(req.group.id, req.params.username);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  if (!req.member) return res.status(404).json({ error: "Member not found" });
+  next();
+}
 
-  if (answerId) {
-    sql += " WHERE answerId = ?";
-    params.push(answerId);
+// PATCH /groups/:id/members/:username { role: member | moderator | owner }
+app.patch(
+  "/groups/:id/members/:username",
+  requireAuth,
+  groupRole("owner", { adminOverride: true }),
+  loadMember,
+  async (req, res) => {
+    const { role } = req.body;
+    if (!groups.isValidRole(role))
+      return res.status(400).json({ error: `role must be one of: ${groups.ROLES.join(", ")}` });
+
+    try {
+      if (!(await groups.setRole(req.group, req.member, role)))
+        return res.status(409).json({ error: "A group needs at least one owner" });
+      res.json({ username: req.member.username, role });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
   }
+);
+
+// Moderators can remove members; only owners can remove moderators/owners
+app.delete(
+  "/groups/:id/members/:username",
+  requireAuth,
+  groupRole("moderator", { adminOverride: true }),
+  loadMember,
+  async (req, res) => {
+    const isAdmin = hasRole(req.user, "admin");
+    if (req.member.role !== "member" && !isAdmin && !groups.hasGroupRole(req.membership, "owner"))
+      return res.status(403).json({ error: "Not allowed" });
 
-  sql += " ORDER BY datetime(createdAt) DESC";
+    try {
+      if (!(await groups.removeMember(req.group, req.member)))
+        return res.status(409).json({ error: "A group needs at least one owner" });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// The group's content, with the same query parameters as the global lists
+app.get("/groups/:id/notes", requireAuth, groupRole("member"), listNotes);
+app.get("/groups/:id/files", requireAuth, groupRole("member"), listRoute(FILE_LIST, fileFilter));
+app.get(
+  "/groups/:id/questions",
+  requireAuth,
+  groupRole("member"),
+  listRoute(QUESTION_LIST, questionFilter, formatQuestion)
+);
+
+// GET /groups/:id/leaderboard?scope=&metric=&subject=&limit= — the
+// group's members ranked on all their activity
+app.get("/groups/:id/leaderboard", requireAuth, groupRole("member"), async (req, res) => {
+  const options = leaderboard.parseQuery(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
 
-  db.all(sql, params, (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
-  });
+  try {
+    res.json(
+      await leaderboard.leaderboard({ ...options, groupId: req.group.id }, req.user.username)
+    );
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-app.post("/grades", (req, res) => {
-  const { answerId, questionId, isCorrect, feedback, gradedBy } = req.body;
-
-  if (!answerId || !questionId || gradedBy == null)
-    return res.status(400).json({ error: "Missing fields" });
 
-  // 🔒 STEP 1 — Check if the question exists
-  db.get("SELECT * FROM questions WHERE id = ?", [questionId], (errQ, question) => {
-    if (errQ) return res.status(500).json({ error: errQ.message });
-    if (!question) return res.status(404).json({ error: "Question not found" });
+// ======================================================
+// ACHIEVEMENTS
+// ======================================================
 
-    // 🔥 STEP 2 — Validate if this user is the creator of the question
-    if (question.createdBy !== gradedBy) {
-      return res.status(403).json({
-        error: "Forbidden: Only the question creator can grade answers"
-      });
-    }
+// Every achievement; signed-in callers also get their unlocks and progress
+app.get("/achievements", async (req, res) => {
+  try {
+    if (!req.user) return res.json(await achievements.catalog());
 
-    // 🔄 STEP 3 — Proceed to delete old grade and insert new one
-    const createdAt = new Date().toISOString();
-    const correctInt = isCorrect ? 1 : 0;
-
-    db.run("DELETE FROM grades WHERE answerId = ?", [answerId], (errDel) => {
-      if (errDel) return res.status(500).json({ error: errDel.message });
-
-      db.run(
-        `INSERT INTO grades 
-         (answerId, questionId, isCorrect, feedback, gradedBy, createdAt) 
-         VALUES (?,?,?,?,?,?)`,
-        [answerId, questionId, correctInt, feedback || "", gradedBy, createdAt],
-        function (errIns) {
-          if (errIns) return res.status(500).json({ error: errIns.message });
-
-          res.json({
-            id: this.lastID,
-            answerId,
-            questionId,
-            isCorrect: !!correctInt,
-            feedback,
-            gradedBy,
-            createdAt,
-          });
-        }
-      );
-    });
-  });
+    // Catch up on anything earned before the achievement existed
+    await achievements.evaluate(req.user.username);
+    res.json(await achievements.catalog(req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+app.get("/users/:username/achievements", async (req, res) => {
+  try {
+    const user = await get("SELECT username FROM users WHERE username = ?", [req.params.username]);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json(await achievements.unlockedBy(user.username));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
 
 // ======================================================
 // PROGRESS
 // ======================================================
-app.get("/progress", (req, res) => {
-  const { username } = req.query;
-
-  if (!username)
-    return res.status(400).json({ error: "username is required" });
+app.get("/progress", requireAuth, (req, res) => {
+  const username = req.user.username;
 
   db.all(
     "SELECT * FROM progress WHERE username = ?",
@@ -763,17 +2424,19 @@ app.get("/progress", (req, res) => {
   );
 });
 
-app.post("/progress", (req, res) => {
-  const { username, subject, value } = req.body;
+app.post("/progress", requireAuth, requireSubject, (req, res) => {
+  const { value } = req.body;
+  const { id: subjectId, name: subject } = req.subject;
+  const username = req.user.username;
 
-  if (!username || !subject || value === undefined)
+  if (value === undefined)
     return res.status(400).json({ error: "Missing fields" });
 
   const updatedAt = new Date().toISOString();
 
   db.get(
-    "SELECT id FROM progress WHERE username = ? AND subject = ?",
-    [username, subject],
+    "SELECT id FROM progress WHERE username = ? AND subjectId = ?",
+    [username, subjectId],
     (err, row) => {
       if (err) return res.status(500).json({ error: err.message });
 
@@ -787,6 +2450,7 @@ app.post("/progress", (req, res) => {
               id: row.id,
               username,
               subject,
+              subjectId,
               value,
               updatedAt,
             });
@@ -794,8 +2458,8 @@ app.post("/progress", (req, res) => {
         );
       } else {
         db.run(
-          "INSERT INTO progress (username, subject, value, updatedAt) VALUES (?,?,?,?)",
-          [username, subject, value, updatedAt],
+          "INSERT INTO progress (username, subject, subjectId, value, updatedAt) VALUES (?,?,?,?,?)",
+          [username, subject, subjectId, value, updatedAt],
           function (err3) {
             if (err3) return res.status(500).json({ error: err3.message });
 
@@ -803,6 +2467,7 @@ app.post("/progress", (req, res) => {
               id: this.lastID,
               username,
               subject,
+              subjectId,
               value,
               updatedAt,
             });
@@ -813,55 +2478,155 @@ app.post("/progress", (req, res) => {
   );
 });
 
-app.get("/user/:username", (req, res) => {
-  const { username } = req.params;
-  db.get("SELECT username, xp FROM users WHERE username = ?", [username], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(row || { username, xp: 0 });
-  });
+app.get("/user/:username", async (req, res) => {
+  try {
+    res.json(await getXP(req.params.username));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 
-app.post("/exp", (req, res) => {
-  const { user, amount } = req.body;
-  if (!user || !amount) return res.status(400).json({ error: "Missing fields" });
-
-  db.run(
-    "INSERT INTO exp (username, amount, createdAt) VALUES (?,?,?)",
-    [user, amount, new Date().toISOString()],
-    function (err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// Current and longest streak plus a calendar of active days
+// (?from=&to= as YYYY-MM-DD, default the last 90 days)
+app.get("/streak/:username", async (req, res) => {
+  try {
+    const info = await streaks.streakInfo(req.params.username, req.query);
+    if (!info) return res.status(404).json({ error: "User not found" });
+    if (info.error) return res.status(400).json({ error: info.error });
+    res.json(info);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+
+// Legacy alias of POST /xp/add; the exp table is no longer written
+app.post("/exp", requireAuth, requireRole("admin"), grantManualXP);
+
 // Get total EXP of a user
-app.get("/exp/:user", (req, res) => {
-  const user = req.params.user;
+app.get("/exp/:user", async (req, res) => {
+  try {
+    const { total } = await getXP(req.params.user);
+    res.json({ total });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  db.get("SELECT SUM(amount) AS total FROM exp WHERE username = ?", [user],
-    (err, row) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ total: row?.total || 0 });
-    }
-  );
+
+// Ledger entries, newest first by default
+const EXP_LIST = {
+  table: "xp_events",
+  sorts: { createdAt: "createdAt", score: "amount" },
+  date: "createdAt",
+};
+
+app.get(
+  "/exp-history/:user",
+  listRoute(EXP_LIST, (req) => ({ where: ["username = ?"], params: [req.params.user] }))
+);
+
+
+
+// ======================================================
+// NOTIFICATIONS
+// ======================================================
+const NOTIFICATION_LIST = {
+  table: "notifications",
+  sorts: { createdAt: "createdAt" },
+  date: "createdAt",
+};
+
+// GET /notifications?unread=true — the caller's notifications, newest
+// first, plus how many are unread in total
+app.get("/notifications", requireAuth, async (req, res) => {
+  const where = ["username = ?"];
+  if (req.query.unread === "true") where.push("readAt IS NULL");
+
+  try {
+    const page = await paginate(NOTIFICATION_LIST, req.query, where, [req.user.username]);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json({
+      items: page.items.map(notifications.format),
+      nextCursor: page.nextCursor,
+      unreadCount: await notifications.unreadCount(req.user.username),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/notifications/unread-count", requireAuth, async (req, res) => {
+  try {
+    res.json({ unreadCount: await notifications.unreadCount(req.user.username) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
+app.post("/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    const marked = await notifications.markAllRead(req.user.username);
+    res.json({ marked, unreadCount: 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-app.get("/exp-history/:user", (req, res) => {
-  const user = req.params.user;
-  db.all(
-    "SELECT * FROM exp WHERE username = ? ORDER BY createdAt DESC LIMIT 50",
-    [user],
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
-    }
-  );
+app.post("/notifications/:id/read", requireAuth, async (req, res) => {
+  try {
+    const row = await notifications.markRead(req.user.username, req.params.id);
+    if (!row) return res.status(404).json({ error: "Notification not found" });
+    res.json({ ...row, unreadCount: await notifications.unreadCount(req.user.username) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Which notification types the caller receives ({ comment: true, ... }),
+// with a description of each
+app.get("/notifications/preferences", requireAuth, async (req, res) => {
+  try {
+    res.json({
+      preferences: await notifications.preferences(req.user.username),
+      types: notifications.TYPES,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /notifications/preferences { comment: false, level_up: true }
+app.patch("/notifications/preferences", requireAuth, async (req, res) => {
+  const { changes, error } = notifications.parsePreferences(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json({
+      preferences: await notifications.setPreferences(req.user.username, changes),
+      types: notifications.TYPES,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 
+// ======================================================
+// REALTIME
+// ======================================================
+
+// GET /events?subject=Ethics&questionId=12 — Server-Sent Events (see
+// realtime.js). EventSource can't set headers, so browsers pass
+// ?access_token= like file downloads do.
+app.get("/events", requireAuth, (req, res) => {
+  const session = { username: req.user.username, sessionId: req.sessionId };
+  if (!realtime.subscribe(session, req.query, req, res))
+    return res.status(429).json({ error: "Too many open event streams" });
+});
+
 
 // ======================================================
 // ROOT
@@ -875,6 +2640,27 @@ app.get("/", (req, res) => {
 // START SERVER
 // ======================================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log("Server running on port " + PORT);
-});
+
+async function promoteAdmins() {
+  if (ADMIN_USERNAMES.length === 0) return;
+
+  await run(
+    `UPDATE users SET role = 'admin' WHERE username IN (${ADMIN_USERNAMES.map(() => "?").join(",")})`,
+    ADMIN_USERNAMES
+  );
+}
+
+// Bring the schema up to date before accepting requests
+migrate
+  .up()
+  .then(promoteAdmins)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log("Server running on port " + PORT);
+    });
+    return previews.resumePending();
+  })
+  .catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
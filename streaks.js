@@ -0,0 +1,153 @@
+// streaks.js
+//
+// Daily activity streaks. The first authenticated request of a local day
+// (see timezone.js) records the day in activity_days and moves the streak
+// on; users.streak / longestStreak / streakFreezes hold the running state.
+//
+// Every FREEZE_EVERY consecutive days earns a streak freeze (up to
+// MAX_FREEZES). A freeze is spent automatically on each missed day, so a
+// short gap keeps the streak instead of resetting it.
+const { run, get, all } = require("./db");
+const { addXP } = require("./xp");
+const timezone = require("./timezone");
+const achievements = require("./achievements");
+
+// streak length → bonus XP
+const MILESTONES = { 3: 10, 7: 25, 14: 50, 30: 100, 60: 150, 100: 250, 365: 500 };
+const FREEZE_EVERY = 7;
+const MAX_FREEZES = 2;
+
+const CALENDAR_DAYS = 90;
+const MAX_CALENDAR_DAYS = 366;
+
+// username → last day recorded by this process, so only the first request
+// of each day touches the database
+const recorded = new Map();
+
+// Records activity for `username` at `now`. Returns the new state on the
+// first activity of a day, null otherwise.
+async function recordActivity(username, now = new Date()) {
+  const today = timezone.dayOf(now);
+  if (recorded.get(username) === today) return null;
+
+  const { changes } = await run(
+    "INSERT OR IGNORE INTO activity_days (username, day, kind, createdAt) VALUES (?, ?, 'active', ?)",
+    [username, today, now.toISOString()]
+  );
+  recorded.set(username, today);
+  if (changes === 0) return null;
+
+  const user = await get(
+    "SELECT streak, longestStreak, streakFreezes FROM users WHERE username = ?",
+    [username]
+  );
+  if (!user) return null;
+
+  const previous = await get(
+    "SELECT MAX(day) AS day FROM activity_days WHERE username = ? AND day < ?",
+    [username, today]
+  );
+
+  let streak = user.streak || 0;
+  let freezes = user.streakFreezes || 0;
+  let frozen = 0;
+
+  const missed = previous.day ? timezone.daysBetween(previous.day, today) - 1 : null;
+  if (missed === 0) {
+    streak += 1;
+  } else if (missed !== null && streak > 0 && missed <= freezes) {
+    for (let i = 1; i <= missed; i++) {
+      await run(
+        "INSERT OR IGNORE INTO activity_days (username, day, kind, createdAt) VALUES (?, ?, 'freeze', ?)",
+        [username, timezone.addDays(previous.day, i), now.toISOString()]
+      );
+    }
+    freezes -= missed;
+    frozen = missed;
+    streak += 1;
+  } else {
+    streak = 1;
+  }
+
+  const earnedFreeze = streak % FREEZE_EVERY === 0 && freezes < MAX_FREEZES;
+  if (earnedFreeze) freezes += 1;
+
+  const longest = Math.max(user.longestStreak || 0, streak);
+
+  await run(
+    `UPDATE users SET streak = ?, longestStreak = ?, streakFreezes = ?, last_login = ?
+     WHERE username = ?`,
+    [streak, longest, freezes, now.toISOString(), username]
+  );
+
+  let bonus = 0;
+  if (MILESTONES[streak]) {
+    bonus = MILESTONES[streak];
+    await addXP(username, bonus, { reason: `${streak}-day streak`, sourceType: "streak", sourceId: streak });
+  }
+
+  await achievements.evaluate(username, "streak");
+
+  return { streak, longest, freezes, frozen, earnedFreeze, bonus };
+}
+
+// Streak still alive today: active today or yesterday, or the days missed
+// since can be covered by the freezes in hand.
+function currentStreak(user, lastDay, today) {
+  if (!lastDay) return 0;
+  const missed = timezone.daysBetween(lastDay, today) - 1;
+  return missed <= (user.streakFreezes || 0) ? user.streak || 0 : 0;
+}
+
+function nextMilestone(streak) {
+  const next = Object.keys(MILESTONES).map(Number).find((n) => n > streak);
+  return next ? { days: next, xp: MILESTONES[next] } : null;
+}
+
+// Streak summary plus a calendar of active/frozen days between `from` and
+// `to` (inclusive, default the last CALENDAR_DAYS days). Returns null for an
+// unknown user and { error } for a bad range.
+async function streakInfo(username, { from, to } = {}) {
+  const today = timezone.dayOf();
+
+  const end = to || today;
+  const start = from || timezone.addDays(end, -(CALENDAR_DAYS - 1));
+  if (!timezone.isDay(start) || !timezone.isDay(end))
+    return { error: "from and to must be dates (YYYY-MM-DD)" };
+  if (start > end) return { error: "from must not be after to" };
+  if (timezone.daysBetween(start, end) >= MAX_CALENDAR_DAYS)
+    return { error: `Calendar range is limited to ${MAX_CALENDAR_DAYS} days` };
+
+  const user = await get(
+    "SELECT username, streak, longestStreak, streakFreezes FROM users WHERE username = ?",
+    [username]
+  );
+  if (!user) return null;
+
+  const last = await get(
+    "SELECT MAX(day) AS day FROM activity_days WHERE username = ? AND kind = 'active'",
+    [username]
+  );
+  const days = await all(
+    `SELECT day, kind FROM activity_days
+     WHERE username = ? AND day >= ? AND day <= ? ORDER BY day`,
+    [username, start, end]
+  );
+
+  const current = currentStreak(user, last.day, today);
+
+  return {
+    username: user.username,
+    timezone: timezone.TIMEZONE,
+    today,
+    current,
+    longest: user.longestStreak || 0,
+    freezes: user.streakFreezes || 0,
+    activeToday: last.day === today,
+    lastActiveDay: last.day,
+    nextMilestone: nextMilestone(current),
+    calendar: { from: start, to: end, days },
+  };
+}
+
+module.exports = { MILESTONES, FREEZE_EVERY, MAX_FREEZES, recordActivity, streakInfo };
@@ -0,0 +1,218 @@
+// subjects.js
+//
+// The curriculum: subjects with a code, semester and year level. Content
+// rows reference a subject by subjectId and also keep its name in
+// `subject` (see migrations/019_subjects.js), so renaming or merging a
+// subject rewrites those names here.
+//
+// Archived subjects keep their content visible but accept nothing new.
+const { run, get, all } = require("./db");
+
+// Tables with both subject and subjectId
+const TABLES = ["notes", "files", "questions", "reflections", "progress"];
+// Copies of the name kept for history (XP ledger, quiz snapshots)
+const NAME_COPIES = ["xp_events", "quiz_items"];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CODE_LENGTH = 20;
+const SEMESTERS = [1, 2, 3];
+const MAX_YEAR_LEVEL = 6;
+
+function byId(id) {
+  return get("SELECT * FROM subjects WHERE id = ?", [id]);
+}
+
+// A subject by id, code or name (case-insensitive), archived or not
+async function find(value) {
+  if (typeof value === "number" || (typeof value === "string" && /^\d+$/.test(value.trim())))
+    return byId(Number(value));
+  if (typeof value !== "string" || !value.trim()) return null;
+  return get(
+    "SELECT * FROM subjects WHERE name = ? OR code = ? ORDER BY code = ? DESC LIMIT 1",
+    [value.trim(), value.trim(), value.trim()]
+  );
+}
+
+// The subject a write refers to, from { subjectId } or { subject }.
+// Returns { subject } (the row) or { error }.
+async function resolve(body) {
+  const value = body.subjectId !== undefined && body.subjectId !== null ? body.subjectId : body.subject;
+  if (value === undefined || value === null || value === "") return { error: "subject is required" };
+
+  const subject = await find(value);
+  if (!subject) return { error: `Unknown subject: ${value}` };
+  if (subject.archived) return { error: `${subject.name} is archived` };
+  return { subject };
+}
+
+function list({ includeArchived = false } = {}) {
+  return all(
+    `SELECT * FROM subjects ${includeArchived ? "" : "WHERE archived = 0"}
+     ORDER BY archived, yearLevel IS NULL, yearLevel, semester IS NULL, semester, name`
+  );
+}
+
+// The old /lessons shape: names of current subjects by semester
+async function lessons() {
+  const rows = await list();
+  return {
+    firstSemester: rows.filter((s) => s.semester === 1).map((s) => s.name),
+    secondSemester: rows.filter((s) => s.semester === 2).map((s) => s.name),
+  };
+}
+
+function format(row) {
+  return { ...row, archived: !!row.archived };
+}
+
+function optionalInteger(value, allowed, field) {
+  if (value === null || value === "") return { value: null };
+  const n = Number(value);
+  if (!allowed(n)) return { error: `${field} is not valid` };
+  return { value: n };
+}
+
+// Validates { name, code, semester, yearLevel, archived } from a request
+// body. Only fields present are returned, so it serves updates too.
+function parse(body, { requireName = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH)
+      return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    fields.name = name;
+  } else if (requireName) {
+    return { error: "name is required" };
+  }
+
+  if (body.code !== undefined) {
+    const code = typeof body.code === "string" ? body.code.trim().toUpperCase() : body.code;
+    if (code !== null && code !== "" &&
+        (typeof code !== "string" || code.length > MAX_CODE_LENGTH || /^\d+$/.test(code) || /\s/.test(code)))
+      return { error: `code must be up to ${MAX_CODE_LENGTH} characters, without spaces and not only digits` };
+    fields.code = code || null;
+  }
+
+  if (body.semester !== undefined) {
+    const { value, error } = optionalInteger(body.semester, (n) => SEMESTERS.includes(n), "semester");
+    if (error) return { error };
+    fields.semester = value;
+  }
+
+  if (body.yearLevel !== undefined) {
+    const { value, error } = optionalInteger(
+      body.yearLevel,
+      (n) => Number.isInteger(n) && n >= 1 && n <= MAX_YEAR_LEVEL,
+      "yearLevel"
+    );
+    if (error) return { error };
+    fields.yearLevel = value;
+  }
+
+  if (body.archived !== undefined) {
+    if (typeof body.archived !== "boolean") return { error: "archived must be true or false" };
+    fields.archived = body.archived ? 1 : 0;
+  }
+
+  return { fields };
+}
+
+// Name or code already taken by another subject
+async function conflict(fields, exceptId = null) {
+  if (fields.name) {
+    const other = await get("SELECT id FROM subjects WHERE name = ? AND id IS NOT ?", [fields.name, exceptId]);
+    if (other) return `A subject named ${fields.name} already exists`;
+  }
+  if (fields.code) {
+    const other = await get("SELECT id FROM subjects WHERE code = ? AND id IS NOT ?", [fields.code, exceptId]);
+    if (other) return `The code ${fields.code} is already in use`;
+  }
+  return null;
+}
+
+async function create(fields) {
+  const now = new Date().toISOString();
+  const { lastID } = await run(
+    `INSERT INTO subjects (code, name, semester, yearLevel, archived, createdAt, updatedAt)
+     VALUES (?,?,?,?,?,?,?)`,
+    [fields.code || null, fields.name, fields.semester || null, fields.yearLevel || null,
+      fields.archived || 0, now, now]
+  );
+  return byId(lastID);
+}
+
+// Renames `from` to `to` on every row that copies the name
+async function renameRows(subjectId, from, to) {
+  for (const table of TABLES)
+    await run(`UPDATE ${table} SET subject = ? WHERE subjectId = ?`, [to, subjectId]);
+  for (const table of NAME_COPIES)
+    await run(`UPDATE ${table} SET subject = ? WHERE subject = ?`, [to, from]);
+}
+
+async function update(subject, fields) {
+  const names = Object.keys(fields);
+  if (names.length === 0) return subject;
+
+  await run(
+    `UPDATE subjects SET ${names.map((f) => `${f} = ?`).join(", ")}, updatedAt = ? WHERE id = ?`,
+    [...names.map((f) => fields[f]), new Date().toISOString(), subject.id]
+  );
+  if (fields.name && fields.name !== subject.name)
+    await renameRows(subject.id, subject.name, fields.name);
+
+  return byId(subject.id);
+}
+
+// Rows referencing the subject, per table
+async function usage(subjectId) {
+  const counts = {};
+  for (const table of TABLES) {
+    const { n } = await get(`SELECT COUNT(*) AS n FROM ${table} WHERE subjectId = ?`, [subjectId]);
+    counts[table] = n;
+  }
+  return counts;
+}
+
+// Deletes a subject nothing refers to. Returns false if it is in use.
+async function remove(subject) {
+  const counts = await usage(subject.id);
+  if (Object.values(counts).some((n) => n > 0)) return false;
+  await run("DELETE FROM subjects WHERE id = ?", [subject.id]);
+  return true;
+}
+
+// Moves everything from `source` into `target` and deletes `source`.
+// Progress is one row per user and subject: the higher value wins.
+async function merge(source, target) {
+  await run(
+    `UPDATE progress SET value = MAX(value, (SELECT p.value FROM progress p
+       WHERE p.username = progress.username AND p.subjectId = ?))
+     WHERE subjectId = ? AND username IN (SELECT username FROM progress WHERE subjectId = ?)`,
+    [source.id, target.id, source.id]
+  );
+  await run(
+    `DELETE FROM progress WHERE subjectId = ?
+       AND username IN (SELECT username FROM progress WHERE subjectId = ?)`,
+    [source.id, target.id]
+  );
+
+  await renameRows(source.id, source.name, target.name);
+  await run("DELETE FROM subjects WHERE id = ?", [source.id]);
+  return byId(target.id);
+}
+
+module.exports = {
+  find,
+  resolve,
+  list,
+  lessons,
+  format,
+  parse,
+  conflict,
+  create,
+  update,
+  usage,
+  remove,
+  merge,
+};
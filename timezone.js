@@ -0,0 +1,95 @@
+// timezone.js
+//
+// Calendar days as the students see them. Streaks, daily XP caps and
+// leaderboard weeks/months use the zone set in APP_TIMEZONE (an IANA
+// name, default Asia/Manila). Days are "YYYY-MM-DD" strings.
+const DEFAULT_TIMEZONE = "Asia/Manila";
+
+function resolveTimezone(name) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return name;
+  } catch {
+    console.warn(`Unknown APP_TIMEZONE "${name}"; using ${DEFAULT_TIMEZONE}.`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+const TIMEZONE = resolveTimezone(process.env.APP_TIMEZONE || DEFAULT_TIMEZONE);
+
+const partsFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+function partsOf(date) {
+  const parts = {};
+  for (const { type, value } of partsFormat.formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+// Milliseconds the zone is ahead of UTC at `date`
+function offsetAt(date) {
+  const p = partsOf(date);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDay(value) {
+  return typeof value === "string" && DAY_RE.test(value) && !isNaN(Date.parse(value + "T00:00:00Z"));
+}
+
+// Local day of an instant
+function dayOf(date = new Date()) {
+  const p = partsOf(date);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+function addDays(day, n) {
+  const d = new Date(day + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Whole days from `a` to `b` (positive when b is later)
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b + "T00:00:00Z") - Date.parse(a + "T00:00:00Z")) / 86400000);
+}
+
+// ISO instant of local midnight starting `day`
+function startOf(day) {
+  const guess = Date.parse(day + "T00:00:00Z");
+  let start = guess - offsetAt(new Date(guess));
+  // Re-check in case the offset changed across the guess (DST)
+  start = guess - offsetAt(new Date(start));
+  return new Date(start).toISOString();
+}
+
+// Monday of the week containing `day`
+function weekStart(day) {
+  const weekday = new Date(day + "T00:00:00Z").getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+function monthStart(day) {
+  return day.slice(0, 8) + "01";
+}
+
+module.exports = {
+  TIMEZONE,
+  isDay,
+  dayOf,
+  addDays,
+  daysBetween,
+  startOf,
+  weekStart,
+  monthStart,
+};
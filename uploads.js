@@ -0,0 +1,144 @@
+// uploads.js
+//
+// Upload policy: which files are accepted, how big, how much per user, and
+// where they are stored. Configured through the environment:
+//
+//   UPLOAD_ALLOWED_EXTENSIONS  comma-separated subset of ALLOWED_TYPES (default: all)
+//   UPLOAD_MAX_FILE_MB         per-file limit (default 20)
+//   UPLOAD_USER_QUOTA_MB       total per uploader (default 200)
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+
+const UPLOAD_DIR = path.join(__dirname, "uploads");
+
+// extension → accepted MIME types and leading magic bytes (null: none)
+const ALLOWED_TYPES = {
+  pdf: { mime: ["application/pdf"], magic: ["%PDF-"] },
+  png: { mime: ["image/png"], magic: ["\x89PNG\r\n\x1a\n"] },
+  jpg: { mime: ["image/jpeg"], magic: ["\xff\xd8\xff"] },
+  jpeg: { mime: ["image/jpeg"], magic: ["\xff\xd8\xff"] },
+  gif: { mime: ["image/gif"], magic: ["GIF87a", "GIF89a"] },
+  webp: { mime: ["image/webp"], magic: ["RIFF"] },
+  doc: { mime: ["application/msword"], magic: ["\xd0\xcf\x11\xe0"] },
+  xls: { mime: ["application/vnd.ms-excel"], magic: ["\xd0\xcf\x11\xe0"] },
+  ppt: { mime: ["application/vnd.ms-powerpoint"], magic: ["\xd0\xcf\x11\xe0"] },
+  docx: {
+    mime: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    magic: ["PK\x03\x04"],
+  },
+  xlsx: {
+    mime: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    magic: ["PK\x03\x04"],
+  },
+  pptx: {
+    mime: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+    magic: ["PK\x03\x04"],
+  },
+  txt: { mime: ["text/plain"], magic: null },
+};
+
+const MB = 1024 * 1024;
+const MAX_FILE_BYTES = (Number(process.env.UPLOAD_MAX_FILE_MB) || 20) * MB;
+const USER_QUOTA_BYTES = (Number(process.env.UPLOAD_USER_QUOTA_MB) || 200) * MB;
+
+const ALLOWED_EXTENSIONS = process.env.UPLOAD_ALLOWED_EXTENSIONS
+  ? process.env.UPLOAD_ALLOWED_EXTENSIONS.split(",")
+      .map((e) => e.trim().toLowerCase().replace(/^\./, ""))
+      .filter((e) => ALLOWED_TYPES[e])
+  : Object.keys(ALLOWED_TYPES);
+
+// Carries the HTTP status to answer with
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function extensionOf(name) {
+  return path.extname(name || "").slice(1).toLowerCase();
+}
+
+// Keeps the display name but drops directories, control characters and
+// anything past 255 characters
+function sanitizeName(name) {
+  const base = path.basename(String(name || "").replace(/\\/g, "/"));
+  const clean = base.replace(/[\x00-\x1f\x7f]/g, "").trim();
+  return clean.slice(-255) || "file";
+}
+
+function fileFilter(req, file, cb) {
+  const ext = extensionOf(file.originalname);
+  const type = ALLOWED_EXTENSIONS.includes(ext) && ALLOWED_TYPES[ext];
+
+  if (!type || !type.mime.includes(file.mimetype)) {
+    return cb(
+      new UploadError(415, `Unsupported file type. Allowed: ${ALLOWED_EXTENSIONS.join(", ")}`)
+    );
+  }
+  cb(null, true);
+}
+
+// Stored under a random name; the original only lives in the DB
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const ext = extensionOf(file.originalname);
+    cb(null, crypto.randomBytes(16).toString("hex") + (ext ? "." + ext : ""));
+  },
+});
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: MAX_FILE_BYTES, files: 1 },
+});
+
+// Reads the stored file once for both its SHA-256 and its leading bytes
+function inspect(fullPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    let head = Buffer.alloc(0);
+
+    fs.createReadStream(fullPath)
+      .on("data", (chunk) => {
+        hash.update(chunk);
+        if (head.length < 16) head = Buffer.concat([head, chunk]).subarray(0, 16);
+      })
+      .on("error", reject)
+      .on("end", () => resolve({ sha256: hash.digest("hex"), head }));
+  });
+}
+
+// Declared type and extension are client-controlled; the content has to agree
+function contentMatches(ext, head) {
+  const { magic } = ALLOWED_TYPES[ext];
+  if (!magic) return !head.includes(0);
+
+  const start = head.toString("latin1");
+  return magic.some((m) => start.startsWith(m));
+}
+
+function removeQuietly(fullPath) {
+  fs.unlink(fullPath, () => {});
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  ALLOWED_TYPES,
+  ALLOWED_EXTENSIONS,
+  MAX_FILE_BYTES,
+  USER_QUOTA_BYTES,
+  UploadError,
+  upload,
+  extensionOf,
+  sanitizeName,
+  inspect,
+  contentMatches,
+  removeQuietly,
+};
@@ -0,0 +1,75 @@
+// visibility.js
+//
+// Who may read a note: everyone if it is public, otherwise only its author
+// and the users it was shared with (note_shares). Every place that returns
+// note content — lists, comments, revisions, search — goes through here.
+//
+// Content posted in a study group (groupId set) is further limited to the
+// group's members, whatever else applies.
+//
+// Answers to objective questions give away the answer key along with their
+// grade, so only the answerer and the question's author see them (and
+// moderators, which callers check themselves).
+const { get } = require("./db");
+
+// SQL condition for "`column` names no group, or one username belongs to"
+function groupVisibleSql(username, column = "groupId") {
+  return {
+    sql: `(${column} IS NULL OR ${column} IN (
+      SELECT groupId FROM group_members WHERE username = ?))`,
+    params: [username || null],
+  };
+}
+
+async function canViewGroup(groupId, username) {
+  if (groupId === null || groupId === undefined) return true;
+  if (!username) return false;
+
+  const member = await get(
+    "SELECT 1 FROM group_members WHERE groupId = ? AND username = ?",
+    [groupId, username]
+  );
+  return !!member;
+}
+
+// SQL condition for "answer id `column` is one username may see the text
+// and grade of"
+function answerVisibleSql(username, column) {
+  return {
+    sql: `${column} IN (SELECT a.id FROM answers a JOIN questions q ON q.id = a.questionId
+      WHERE q.type = 'text' OR a.answeredBy = ? OR q.createdBy = ?)`,
+    params: [username || null, username || null],
+  };
+}
+
+// SQL condition for "`notes` row is readable by username". `table` is the
+// name or alias the notes table has in the surrounding query.
+function noteVisibleSql(username, table = "notes") {
+  const group = groupVisibleSql(username, `${table}.groupId`);
+  return {
+    sql: `((${table}.isPublic = 1 OR ${table}.author = ? OR ${table}.id IN (
+      SELECT noteId FROM note_shares WHERE username = ?)) AND ${group.sql})`,
+    params: [username || null, username || null, ...group.params],
+  };
+}
+
+async function canViewNote(note, username) {
+  if (!(await canViewGroup(note.groupId, username))) return false;
+  if (note.isPublic === 1) return true;
+  if (!username) return false;
+  if (note.author === username) return true;
+
+  const share = await get(
+    "SELECT 1 FROM note_shares WHERE noteId = ? AND username = ?",
+    [note.id, username]
+  );
+  return !!share;
+}
+
+module.exports = {
+  noteVisibleSql,
+  canViewNote,
+  groupVisibleSql,
+  canViewGroup,
+  answerVisibleSql,
+};
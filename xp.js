@@ -0,0 +1,138 @@
+// xp.js
+//
+// XP ledger. Every grant or revocation is one row in xp_events; a user's
+// total, level and progress into the level are always derived from it.
+//
+//   node xp.js reconcile   fold legacy users.xp and exp rows into the ledger
+const { run, get, all } = require("./db");
+const realtime = require("./realtime");
+const notifications = require("./notifications");
+
+// XP needed for next level
+function xpNeededFor(level) {
+  return 50 + (level * 25);   // Level 1→2 = 75, then 100, 125, 150...
+}
+
+// Total XP → { level, xp } where xp is the progress into that level
+function levelFor(total) {
+  let xp = Math.max(0, total);
+  let level = 1;
+
+  // Level-up loop with carryover
+  while (xp >= xpNeededFor(level)) {
+    xp -= xpNeededFor(level);
+    level++;
+  }
+  return { level, xp };
+}
+
+// Inverse of levelFor, for converting the legacy users.xp/level pair
+function totalFor(level, xp) {
+  let total = xp || 0;
+  for (let l = 1; l < (level || 1); l++) total += xpNeededFor(l);
+  return total;
+}
+
+function summary(username, total) {
+  const { level, xp } = levelFor(total);
+  return { username, total, level, xp, nextLevelAt: xpNeededFor(level) };
+}
+
+async function getXP(username) {
+  const row = await get(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM xp_events WHERE username = ?",
+    [username]
+  );
+  return summary(username, row.total);
+}
+
+// Records one XP event and returns the new summary plus whether it crossed
+// a level boundary (pushed to the user as xp.levelup, and notified).
+// `source` = { reason, sourceType, sourceId, subject }.
+async function addXP(username, amount, source = {}) {
+  const before = await getXP(username);
+
+  await run(
+    `INSERT INTO xp_events (username, amount, reason, sourceType, sourceId, subject, createdAt)
+     VALUES (?,?,?,?,?,?,?)`,
+    [
+      username,
+      amount,
+      source.reason || null,
+      source.sourceType || null,
+      source.sourceId == null ? null : source.sourceId,
+      source.subject || null,
+      new Date().toISOString(),
+    ]
+  );
+
+  const after = summary(username, before.total + amount);
+  const leveledUp = after.level > before.level;
+  if (leveledUp) {
+    realtime.publish("xp.levelup", { data: { ...after, previousLevel: before.level } }, { users: [username] });
+    await notifications.notify(username, "level_up", `You reached level ${after.level}`, {
+      level: after.level,
+      previousLevel: before.level,
+    });
+  }
+  return { ...after, leveledUp };
+}
+
+// ======================================================
+// RECONCILIATION
+// ======================================================
+
+// Idempotent: each legacy users row and exp row is recorded at most once,
+// keyed by sourceType/sourceId, so running it again never double counts.
+async function reconcile() {
+  const users = await all(
+    `SELECT u.id, u.username, u.xp, u.level FROM users u
+     WHERE (COALESCE(u.xp, 0) > 0 OR COALESCE(u.level, 1) > 1)
+       AND NOT EXISTS (
+         SELECT 1 FROM xp_events e WHERE e.sourceType = 'legacy_users' AND e.sourceId = u.id
+       )`
+  );
+
+  for (const u of users) {
+    await run(
+      `INSERT INTO xp_events (username, amount, reason, sourceType, sourceId, createdAt)
+       VALUES (?,?,?,?,?,?)`,
+      [u.username, totalFor(u.level, u.xp), "legacy balance", "legacy_users", u.id, new Date().toISOString()]
+    );
+  }
+
+  const exp = await run(
+    `INSERT INTO xp_events (username, amount, reason, sourceType, sourceId, createdAt)
+     SELECT x.username, x.amount, 'legacy exp', 'legacy_exp', x.id, COALESCE(x.createdAt, ?)
+     FROM exp x
+     WHERE x.username IS NOT NULL AND COALESCE(x.amount, 0) != 0
+       AND NOT EXISTS (
+         SELECT 1 FROM xp_events e WHERE e.sourceType = 'legacy_exp' AND e.sourceId = x.id
+       )`,
+    [new Date().toISOString()]
+  );
+
+  return { users: users.length, exp: exp.changes };
+}
+
+module.exports = { xpNeededFor, levelFor, totalFor, summary, getXP, addXP, reconcile };
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+
+  if (command !== "reconcile") {
+    console.error("Usage: node xp.js reconcile");
+    process.exit(1);
+  }
+
+  require("./migrate")
+    .up()
+    .then(reconcile)
+    .then(({ users, exp }) => {
+      console.log(`reconciled ${users} user balance(s) and ${exp} exp row(s)`);
+    })
+    .catch((e) => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}